@@ -1,12 +1,47 @@
 // Main Application Logic
 class VirtualTryOnApp {
     constructor() {
+        // The try-on engine owns the camera, tracker and renderer; the
+        // shortcuts below point into it once it is mounted
+        this.engine = null;
         this.faceTracker = null;
         this.glassesRenderer = null;
         this.isInitialized = false;
         this.currentFrame = 'classic';
-        this.previousLandmarks = null;
-        this.smoothingEnabled = true;
+
+        // Multi-face try-on: each face keeps its own pose filter and frame
+        this.maxFaces = 4;
+        this.latestFaces = [];
+        this.selectedFaceId = null;
+
+        // Tracking state and on-screen guidance
+        this.trackingState = null;
+        this.frameBrightness = null;
+        this.lastBrightnessCheck = 0;
+        this.brightnessCanvas = null;
+
+        // Face shape analysis and frame suggestions
+        this.faceShapeClassifier = new FaceShapeClassifier();
+        this.frameRecommender = new FrameRecommender();
+        this.faceShape = null;
+        this.shapeFaceId = null;
+        this.faceShapeLabel = null;
+
+        // Lens tint laid over every frame (a LENS_TINTS key), or null
+        this.lensTint = null;
+        this.tintButtons = [];
+
+        // Selfie view: mirrored, filling the view ('cover') or showing the
+        // whole camera picture ('contain'). Captures follow the mirror.
+        this.mirrored = true;
+        this.fit = 'cover';
+        this.mirrorToggle = null;
+        this.fitToggle = null;
+
+        // Camera to open ({ facing } or { deviceId }) and the switcher
+        this.cameraRequest = { facing: 'front' };
+        this.cameraSelect = null;
+        this.retryBtn = null;
         
         // DOM elements
         this.videoElement = null;
@@ -14,6 +49,7 @@ class VirtualTryOnApp {
         this.outputCanvas = null;
         this.loadingIndicator = null;
         this.errorMessage = null;
+        this.guidanceElement = null;
         
         // Control elements
         this.frameButtons = null;
@@ -22,25 +58,112 @@ class VirtualTryOnApp {
         this.heightSlider = null;
         this.captureBtn = null;
         this.resetBtn = null;
+
+        // Clip recording (TryOnRecorder) and what the capture modal shows:
+        // { url, type, extension } for a photo or a recording
+        this.recorder = null;
+        this.recordBtn = null;
+        this.recordFormat = null;
+        this.recordingOverlay = null;
+        this.captured = null;
+
+        // Every photo is also saved as a look to compare later
+        this.catalogue = null;
+        this.looksGallery = null;
     }
 
     async init() {
         try {
             this.setupDOMElements();
             this.setupEventListeners();
-            await this.initializeFaceTracking();
-            this.initializeGlassesRenderer();
+            await this.initializeTryOn();
+            await this.loadCatalogue();
             this.setupResizeHandler();
             
             this.isInitialized = true;
-            this.hideLoading();
-            
-            console.log('Virtual Try-On app initialized successfully');
             
         } catch (error) {
             console.error('Failed to initialize app:', error);
-            this.showError('Failed to initialize the virtual try-on system. Please check your camera permissions and refresh the page.');
+            this.showError('Failed to initialize the virtual try-on system. Please refresh the page.');
+            return;
+        }
+
+        await this.startCamera();
+    }
+
+    // Camera problems can be fixed without a reload, so they come with a
+    // retry button rather than a dead end
+    async startCamera() {
+        this.hideError();
+        this.showLoading();
+        try {
+            await this.engine.setSource(Object.assign({ type: 'camera' }, this.cameraRequest));
+        } catch (error) {
+            console.error('Camera failed to start:', error);
+            this.showError(this.getCameraMessage(CameraManager.getErrorReason(error)), true);
+            return false;
+        }
+
+        // Selfie cameras start mirrored, back cameras as they are
+        const settings = this.engine.getCameraSettings();
+        this.setMirrored(settings.facing !== 'back');
+        this.hideLoading();
+
+        // The camera works without a list to switch from
+        let devices = [];
+        try {
+            devices = await this.engine.getCameras();
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+        }
+        this.updateCameraList(devices);
+        return true;
+    }
+
+    onCameraLost(reason) {
+        this.latestFaces = [];
+        this.drawFaceSelection();
+        this.showError(this.getCameraMessage(reason), true);
+    }
+
+    getCameraMessage(reason) {
+        const messages = {
+            denied: 'Camera access is blocked. Allow the camera in your browser\'s site settings, then try again.',
+            'not-found': 'No camera was found. Connect a camera, then try again.',
+            'in-use': 'The camera is being used by another app. Close that app, then try again.',
+            ended: 'The camera was disconnected. Reconnect it or pick another camera, then try again.',
+            tracking: 'Face tracking stopped unexpectedly. Please try again.',
+            unsupported: 'This browser cannot use the camera here. Try a current browser over https.'
+        };
+        return messages[reason] || 'Could not start the camera. Please try again.';
+    }
+
+    // Devices only get names once camera access has been granted
+    updateCameraList(devices) {
+        if (!this.cameraSelect) return;
+
+        const names = { front: 'Front camera', back: 'Back camera', external: 'External camera' };
+        const counts = {};
+        this.cameraSelect.innerHTML = '';
+        devices.forEach(device => {
+            counts[device.facing] = (counts[device.facing] || 0) + 1;
+            const sameFacing = devices.filter(other => other.facing === device.facing).length;
+            const name = sameFacing > 1 ? `${names[device.facing]} ${counts[device.facing]}` : names[device.facing];
+            const option = new Option(name, device.deviceId);
+            option.title = device.label;
+            this.cameraSelect.add(option);
+        });
+
+        const settings = this.engine && this.engine.getCameraSettings();
+        if (settings && settings.deviceId) {
+            this.cameraSelect.value = settings.deviceId;
         }
+        this.cameraSelect.closest('.view-option').style.display = devices.length > 1 ? '' : 'none';
+    }
+
+    switchCamera(deviceId) {
+        this.cameraRequest = { deviceId: deviceId };
+        return this.startCamera();
     }
 
     setupDOMElements() {
@@ -57,9 +180,166 @@ class VirtualTryOnApp {
         this.captureBtn = document.getElementById('captureBtn');
         this.resetBtn = document.getElementById('resetBtn');
 
+        // Guidance overlay sits on top of the video
+        this.guidanceElement = document.getElementById('trackingGuidance');
+        if (!this.guidanceElement) {
+            this.guidanceElement = document.createElement('div');
+            this.guidanceElement.id = 'trackingGuidance';
+            this.guidanceElement.className = 'tracking-guidance';
+            this.videoElement.parentElement.appendChild(this.guidanceElement);
+        }
+
+        // Face shape label goes above the frame picker
+        this.faceShapeLabel = document.getElementById('faceShapeLabel');
+        if (!this.faceShapeLabel && this.frameButtons.length > 0) {
+            this.faceShapeLabel = document.createElement('div');
+            this.faceShapeLabel.id = 'faceShapeLabel';
+            this.faceShapeLabel.className = 'face-shape-label';
+            const selector = this.frameButtons[0].parentElement;
+            selector.parentElement.insertBefore(this.faceShapeLabel, selector);
+        }
+
+        this.createTintPicker();
+        this.createViewOptions();
+        this.createRecordControls();
+        this.createLooksGallery();
+
+        this.trackingState = new TrackingStateMachine({
+            onChange: (state) => this.onTrackingStateChanged(state)
+        });
+
         this.resizeCanvases();
     }
 
+    // Lens tints go in their own control group below the frame picker
+    createTintPicker() {
+        if (typeof LENS_TINTS === 'undefined' || this.frameButtons.length === 0) return;
+
+        const group = document.createElement('div');
+        group.className = 'control-group lens-tint-group';
+        group.innerHTML = '<h3>Lens Tint</h3><div class="lens-tint-picker"></div>';
+        const picker = group.querySelector('.lens-tint-picker');
+
+        const tints = [['', { label: 'Frame default' }]].concat(
+            Object.keys(LENS_TINTS).map(key => [key, LENS_TINTS[key]])
+        );
+        tints.forEach(([key, tint]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'lens-tint-btn';
+            btn.dataset.tint = key;
+            btn.title = tint.label;
+            btn.innerHTML = '<span class="lens-tint-swatch"></span>';
+            btn.appendChild(document.createTextNode(tint.label));
+            if (tint.color !== undefined) {
+                const colour = `#${tint.color.toString(16).padStart(6, '0')}`;
+                btn.querySelector('.lens-tint-swatch').style.background = tint.gradient
+                    ? `linear-gradient(${colour}, #ffffff)`
+                    : colour;
+            }
+            btn.addEventListener('click', () => this.changeLensTint(key || null));
+            picker.appendChild(btn);
+        });
+        this.tintButtons = Array.from(picker.children);
+
+        const frameGroup = this.frameButtons[0].closest('.control-group') || this.frameButtons[0].parentElement;
+        frameGroup.parentElement.insertBefore(group, frameGroup.nextSibling);
+        this.updateTintButtons();
+    }
+
+    // Mirror and fit switches go below the fit sliders
+    createViewOptions() {
+        const sliders = this.sizeSlider.closest('.control-group');
+        if (!sliders) return;
+
+        const group = document.createElement('div');
+        group.className = 'control-group view-options-group';
+        group.innerHTML = `
+            <h3>View</h3>
+            <label class="view-option"><input type="checkbox" id="mirrorToggle"> Mirror view</label>
+            <label class="view-option"><input type="checkbox" id="fitToggle"> Show the whole camera picture</label>
+            <label class="view-option camera-option" style="display: none;">Camera <select id="cameraSelect" class="camera-select"></select></label>`;
+        sliders.parentElement.insertBefore(group, sliders.nextSibling);
+
+        this.mirrorToggle = group.querySelector('#mirrorToggle');
+        this.fitToggle = group.querySelector('#fitToggle');
+        this.cameraSelect = group.querySelector('#cameraSelect');
+        this.cameraSelect.addEventListener('change', () => this.switchCamera(this.cameraSelect.value));
+        this.mirrorToggle.addEventListener('change', () => this.setMirrored(this.mirrorToggle.checked));
+        this.fitToggle.addEventListener('change', () => this.setFit(this.fitToggle.checked ? 'contain' : 'cover'));
+        this.updateViewOptions();
+    }
+
+    setMirrored(mirrored) {
+        this.mirrored = mirrored;
+        if (this.engine) this.engine.setMirror(mirrored);
+        this.updateViewOptions();
+        this.drawFaceSelection();
+    }
+
+    setFit(fit) {
+        this.fit = fit;
+        if (this.engine) this.engine.setFit(fit);
+        this.updateViewOptions();
+        this.drawFaceSelection();
+    }
+
+    updateViewOptions() {
+        if (this.mirrorToggle) this.mirrorToggle.checked = this.mirrored;
+        if (this.fitToggle) this.fitToggle.checked = this.fit === 'contain';
+    }
+
+    // Recording goes under the capture button; the overlay shows the
+    // countdown and progress over the video
+    createRecordControls() {
+        if (typeof TryOnRecorder === 'undefined') return;
+
+        this.recordBtn = document.getElementById('recordBtn');
+        this.recordFormat = document.getElementById('recordFormat');
+        if (!this.recordBtn) {
+            const controls = document.createElement('div');
+            controls.className = 'record-controls';
+            controls.innerHTML = `
+                <select id="recordFormat" class="record-format" aria-label="Recording format"></select>
+                <button id="recordBtn" class="action-btn secondary">Record</button>`;
+            this.captureBtn.parentElement.insertBefore(controls, this.captureBtn.nextSibling);
+            this.recordBtn = controls.querySelector('#recordBtn');
+            this.recordFormat = controls.querySelector('#recordFormat');
+        }
+        if (this.recordFormat.options.length === 0) {
+            if (TryOnRecorder.supportsVideo()) {
+                this.recordFormat.add(new Option('Video', 'webm'));
+            }
+            this.recordFormat.add(new Option('GIF', 'gif'));
+        }
+
+        this.recordingOverlay = document.createElement('div');
+        this.recordingOverlay.className = 'recording-overlay';
+        this.recordingOverlay.innerHTML = `
+            <div class="recording-countdown"></div>
+            <div class="recording-status">
+                <span class="recording-dot"></span>
+                <span class="recording-time"></span>
+                <div class="recording-progress"><div class="recording-progress-bar"></div></div>
+            </div>`;
+        this.videoElement.parentElement.appendChild(this.recordingOverlay);
+    }
+
+    // Saved looks are listed below the capture buttons
+    createLooksGallery() {
+        if (typeof LooksGallery === 'undefined') return;
+
+        const group = document.createElement('div');
+        group.className = 'control-group looks-group';
+        const actions = this.captureBtn.closest('.control-group') || this.captureBtn.parentElement;
+        actions.parentElement.insertBefore(group, actions.nextSibling);
+
+        this.looksGallery = new LooksGallery();
+        this.looksGallery.mount(group).catch(error => {
+            console.warn('Saved looks unavailable:', error);
+        });
+    }
+
     setupEventListeners() {
         // Frame selection buttons
         this.frameButtons.forEach(btn => {
@@ -68,28 +348,33 @@ class VirtualTryOnApp {
             });
         });
 
+        // Click a face in the view to choose frames for that person only
+        this.videoElement.parentElement.addEventListener('click', (e) => {
+            this.onViewClicked(e);
+        });
+
         // Control sliders
         this.sizeSlider.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             document.getElementById('sizeValue').textContent = value.toFixed(1);
-            if (this.glassesRenderer) {
-                this.glassesRenderer.updateScale(value);
+            if (this.engine) {
+                this.engine.setAdjustments({ scale: value });
             }
         });
 
         this.widthSlider.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             document.getElementById('widthValue').textContent = value.toFixed(1);
-            if (this.glassesRenderer) {
-                this.glassesRenderer.updateWidth(value);
+            if (this.engine) {
+                this.engine.setAdjustments({ width: value });
             }
         });
 
         this.heightSlider.addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
             document.getElementById('heightValue').textContent = value;
-            if (this.glassesRenderer) {
-                this.glassesRenderer.updateHeightOffset(value);
+            if (this.engine) {
+                this.engine.setAdjustments({ heightOffset: value });
             }
         });
 
@@ -98,6 +383,12 @@ class VirtualTryOnApp {
             this.capturePhoto();
         });
 
+        if (this.recordBtn) {
+            this.recordBtn.addEventListener('click', () => {
+                this.toggleRecording();
+            });
+        }
+
         this.resetBtn.addEventListener('click', () => {
             this.resetSettings();
         });
@@ -127,79 +418,310 @@ class VirtualTryOnApp {
         });
     }
 
-    async initializeFaceTracking() {
-        try {
-            this.faceTracker = new FaceTracker();
-            await this.faceTracker.init(
-                this.videoElement,
-                this.canvasElement,
-                (results) => this.onFaceDetected(results)
-            );
-        } catch (error) {
-            console.error('Face tracking initialization failed:', error);
-            throw new Error('Could not access camera or initialize face tracking');
+    async initializeTryOn() {
+        this.engine = new TryOnEngine({
+            renderer: '3d',
+            maxFaces: this.maxFaces,
+            frame: this.currentFrame,
+            mirror: this.mirrored,
+            fit: this.fit,
+            onFaces: (faces) => this.onFaceDetected(faces),
+            onCameraLost: (reason) => this.onCameraLost(reason),
+            onError: () => this.onCameraLost('tracking'),
+            onCamerasChanged: (devices) => this.updateCameraList(devices)
+        });
+        this.engine.mount(this.videoElement.parentElement, {
+            video: this.videoElement,
+            canvas: this.outputCanvas
+        });
+        this.faceTracker = this.engine.tracker;
+        this.glassesRenderer = this.engine.renderer;
+        this.onTrackingStateChanged(this.trackingState.state);
+    }
+
+    // Frame buttons may name catalogue frames; without the catalogue they
+    // fall back to the renderer's built-in styles
+    async loadCatalogue() {
+        if (typeof FrameCatalogue !== 'undefined') {
+            try {
+                this.catalogue = await FrameCatalogue.load();
+                this.engine.setCatalogue(this.catalogue);
+                if (this.looksGallery) this.looksGallery.setCatalogue(this.catalogue);
+            } catch (error) {
+                console.warn('Frame catalogue unavailable, using built-in frames:', error);
+            }
+        }
+
+        const styles = {};
+        this.frameButtons.forEach(btn => {
+            const params = this.glassesRenderer.getFrameParams(btn.dataset.frame);
+            if (params) {
+                styles[btn.dataset.frame] = params;
+            }
+        });
+        this.frameRecommender = new FrameRecommender(styles);
+    }
+
+    // The engine has already placed the frames; this keeps the page's
+    // selection, guidance and face shape in step
+    onFaceDetected(faces) {
+        if (!faces || !this.faceTracker) return;
+
+        const trackedIds = this.faceTracker.getTrackedIds();
+        if (this.selectedFaceId !== null && !trackedIds.includes(this.selectedFaceId)) {
+            this.selectFace(null);
         }
+
+        this.latestFaces = faces;
+        this.drawFaceSelection();
+        this.updateTracking(faces);
+        this.updateFaceShape(faces);
     }
 
-    initializeGlassesRenderer() {
-        this.glassesRenderer = new GlassesRenderer();
-        this.glassesRenderer.init(this.outputCanvas);
+    updateFaceShape(faces) {
+        const face = this.getPrimaryFace(faces);
+        if (!face) return;
+
+        // A different person in front of the camera starts a new analysis
+        if (face.id !== this.shapeFaceId) {
+            this.shapeFaceId = face.id;
+            this.faceShapeClassifier.reset();
+            this.faceShape = null;
+            this.showFaceShape(null);
+        }
+
+        if (this.faceShape) return;
+
+        const result = this.faceShapeClassifier.addSample(face, this.faceTracker.getImageAspect());
+        if (result.stable) {
+            this.faceShape = result;
+            this.showFaceShape(result);
+        }
     }
 
-    onFaceDetected(results) {
-        if (!results || !this.glassesRenderer) return;
+    showFaceShape(result) {
+        this.frameButtons.forEach(btn => btn.classList.remove('recommended'));
 
-        // Apply smoothing to landmarks
-        if (this.smoothingEnabled && this.previousLandmarks) {
-            results.landmarks = LandmarkUtils.smoothLandmarks(
-                results.landmarks,
-                this.previousLandmarks,
-                0.7
-            );
+        if (!result) {
+            if (this.faceShapeLabel) {
+                this.faceShapeLabel.textContent = '';
+            }
+            return;
         }
 
-        // THIS IS THE KEY CALL - Update glasses position based on face landmarks
-        this.glassesRenderer.updateGlasses(
-            results.landmarks,
-            this.outputCanvas.width,
-            this.outputCanvas.height
+        // Highlight the top suggestions, skipping anything that suits poorly
+        const suggestions = this.frameRecommender.recommend(result)
+            .filter(item => item.score >= 0.5)
+            .slice(0, 3)
+            .map(item => item.frame);
+
+        this.frameButtons.forEach(btn => {
+            if (suggestions.includes(btn.dataset.frame)) {
+                btn.classList.add('recommended');
+            }
+        });
+
+        if (this.faceShapeLabel) {
+            const name = result.shape.charAt(0).toUpperCase() + result.shape.slice(1);
+            this.faceShapeLabel.textContent = `Face shape: ${name} - suggested frames are highlighted`;
+        }
+    }
+
+    // The selected face drives the tracking state, otherwise the largest one
+    getPrimaryFace(faces) {
+        const selected = faces.find(face => face.id === this.selectedFaceId);
+        if (selected) return selected;
+
+        return faces.reduce((largest, face) => {
+            if (!largest || (face.faceRect && face.faceRect.width > largest.faceRect.width)) {
+                return face;
+            }
+            return largest;
+        }, null);
+    }
+
+    updateTracking(faces) {
+        const now = Date.now();
+        const face = this.getPrimaryFace(faces);
+        const state = this.trackingState.update(face, now);
+
+        // Sampling brightness every frame is wasteful; twice a second is plenty
+        if (now - this.lastBrightnessCheck > 500) {
+            this.lastBrightnessCheck = now;
+            this.frameBrightness = this.measureBrightness();
+        }
+
+        this.showGuidance(this.getGuidance(state, face));
+    }
+
+    onTrackingStateChanged(state) {
+        // Fade the glasses out rather than leave them frozen mid-air
+        const opacity = { tracking: 1, 'low-confidence': 0.5, lost: 0, searching: 0 };
+        this.engine.setOverlayOpacity(opacity[state]);
+        this.videoElement.parentElement.dataset.trackingState = state;
+    }
+
+    getGuidance(state, face) {
+        if (this.frameBrightness !== null && this.frameBrightness < 50) {
+            return 'Too dark - try facing a light';
+        }
+        if (state === 'searching') {
+            return 'Position your face in the frame';
+        }
+        if (state === 'lost' || !face) {
+            return 'Face lost - look back at the camera';
+        }
+
+        const rect = face.faceRect;
+        if (rect.width < 0.2) {
+            return 'Move closer';
+        }
+        if (rect.width > 0.7) {
+            return 'Move back a little';
+        }
+        if (Math.abs(rect.centerX - 0.5) > 0.25 || Math.abs(rect.centerY - 0.5) > 0.25) {
+            return 'Center your face in the frame';
+        }
+
+        const pose = face.headPose;
+        const degrees = 180 / Math.PI;
+        if (pose && (Math.abs(pose.yaw * degrees) > 35 || Math.abs(pose.pitch * degrees) > 25)) {
+            return 'Face the camera';
+        }
+        if (state === 'low-confidence') {
+            return 'Hold still';
+        }
+        return null;
+    }
+
+    showGuidance(message) {
+        if (!this.guidanceElement) return;
+        if (message) {
+            this.guidanceElement.textContent = message;
+            this.guidanceElement.classList.add('visible');
+        } else {
+            this.guidanceElement.classList.remove('visible');
+        }
+    }
+
+    // Average luma (0-255) of a downscaled video frame
+    measureBrightness() {
+        if (!this.videoElement || !this.videoElement.videoWidth) return null;
+
+        if (!this.brightnessCanvas) {
+            this.brightnessCanvas = document.createElement('canvas');
+            this.brightnessCanvas.width = 32;
+            this.brightnessCanvas.height = 18;
+        }
+        const ctx = this.brightnessCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(this.videoElement, 0, 0, 32, 18);
+        const pixels = ctx.getImageData(0, 0, 32, 18).data;
+
+        let total = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            total += 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+        }
+        return total / (pixels.length / 4);
+    }
+
+    // e.g. setFilterSettings('kalman', { processNoise: 0.1 })
+    setFilterSettings(type, params = {}) {
+        this.engine.setFilterSettings(type, params);
+    }
+
+    // Clicks are in the (possibly mirrored and cropped) view; faces are
+    // found in image coordinates
+    onViewClicked(e) {
+        if (!this.engine || !this.engine.source) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const { x, y } = this.engine.toImagePoint(e.clientX - rect.left, e.clientY - rect.top);
+
+        const face = this.latestFaces.find(({ faceRect }) =>
+            faceRect &&
+            x >= faceRect.x && x <= faceRect.x + faceRect.width &&
+            y >= faceRect.y && y <= faceRect.y + faceRect.height
         );
+        this.selectFace(face ? face.id : null);
+    }
+
+    selectFace(faceId) {
+        this.selectedFaceId = faceId;
+        const frameType = faceId === null || !this.engine
+            ? this.currentFrame
+            : this.engine.getFrame(faceId);
+        this.updateFrameButtons(frameType);
+        this.drawFaceSelection();
+    }
 
-        // Store landmarks for smoothing
-        this.previousLandmarks = results.landmarks;
+    // Outlines the selected face on the landmark canvas (not part of captures)
+    drawFaceSelection() {
+        const ctx = this.canvasElement.getContext('2d');
+        ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+
+        const face = this.latestFaces.find(f => f.id === this.selectedFaceId);
+        if (!face || !face.faceRect || !this.engine) return;
+
+        // Opposite corners as shown; mirroring swaps left and right
+        const { x, y, width, height } = face.faceRect;
+        const a = this.engine.toViewPoint({ x: x, y: y });
+        const b = this.engine.toViewPoint({ x: x + width, y: y + height });
+        ctx.save();
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([10, 6]);
+        ctx.strokeRect(
+            Math.min(a.x, b.x),
+            Math.min(a.y, b.y),
+            Math.abs(b.x - a.x),
+            Math.abs(b.y - a.y)
+        );
+        ctx.restore();
     }
 
     changeFrame(frameType) {
-        this.currentFrame = frameType;
-        
-        // Update button states
+        if (this.selectedFaceId !== null) {
+            // Only the selected person changes frames
+            if (this.engine) {
+                this.engine.setFrame(frameType, this.selectedFaceId);
+            }
+        } else {
+            this.currentFrame = frameType;
+            if (this.engine) {
+                this.engine.setFrame(frameType);
+            }
+        }
+
+        this.updateFrameButtons(frameType);
+    }
+
+    changeLensTint(tint) {
+        this.lensTint = tint;
+        if (this.engine) {
+            this.engine.setLensTint(tint);
+        }
+        this.updateTintButtons();
+    }
+
+    updateTintButtons() {
+        this.tintButtons.forEach(btn => {
+            btn.classList.toggle('active', (btn.dataset.tint || null) === this.lensTint);
+        });
+    }
+
+    updateFrameButtons(frameType) {
         this.frameButtons.forEach(btn => {
             btn.classList.remove('active');
             if (btn.dataset.frame === frameType) {
                 btn.classList.add('active');
             }
         });
-
-        // Update glasses model
-        if (this.glassesRenderer) {
-            this.glassesRenderer.changeFrame(frameType);
-        }
     }
 
     capturePhoto() {
-        if (!this.videoElement || !this.outputCanvas) return;
-
-        const captureCanvas = document.createElement('canvas');
-        const ctx = captureCanvas.getContext('2d');
-        
-        captureCanvas.width = this.videoElement.videoWidth || this.outputCanvas.width;
-        captureCanvas.height = this.videoElement.videoHeight || this.outputCanvas.height;
-
-        // Draw video frame
-        ctx.drawImage(this.videoElement, 0, 0, captureCanvas.width, captureCanvas.height);
+        if (!this.engine || !this.engine.source) return;
 
-        // Draw glasses overlay
-        ctx.drawImage(this.outputCanvas, 0, 0, captureCanvas.width, captureCanvas.height);
+        // Video frame with the glasses on top
+        const captureCanvas = this.engine.capture();
 
         // Show in modal
         const capturedCanvas = document.getElementById('capturedCanvas');
@@ -210,31 +732,154 @@ class VirtualTryOnApp {
         capturedCtx.drawImage(captureCanvas, 0, 0);
 
         // Store for download
-        this.capturedImageData = captureCanvas.toDataURL('image/png');
+        this.setCaptured({
+            url: captureCanvas.toDataURL('image/png'),
+            type: 'image/png',
+            extension: 'png'
+        });
+        this.showCapturedMedia(null);
+        this.saveLook(captureCanvas);
 
         // Show modal
         document.getElementById('captureModal').style.display = 'block';
     }
 
+    // What the selected face (or everyone) is wearing goes with the photo
+    saveLook(canvas) {
+        if (!this.looksGallery) return;
+
+        const look = {
+            frameId: this.engine.getFrame(this.selectedFaceId),
+            variant: this.engine.getVariant(this.selectedFaceId),
+            lensTint: this.lensTint,
+            settings: Object.assign({}, this.engine.adjustments)
+        };
+        // JPEG keeps a gallery of full-size photos small
+        canvas.toBlob((blob) => {
+            if (!blob) return;
+            look.image = blob;
+            this.looksGallery.add(look).catch(error => {
+                console.warn('Could not save the look:', error);
+            });
+        }, 'image/jpeg', 0.9);
+    }
+
+    // Start, or stop early (or cancel during the countdown)
+    toggleRecording() {
+        if (this.recorder && this.recorder.isBusy) {
+            if (this.recorder.state === 'countdown') {
+                this.recorder.cancel();
+            } else {
+                this.recorder.stop();
+            }
+            return;
+        }
+        this.startRecording();
+    }
+
+    async startRecording() {
+        if (!this.engine || !this.engine.source) return;
+
+        const countdown = this.recordingOverlay.querySelector('.recording-countdown');
+        const time = this.recordingOverlay.querySelector('.recording-time');
+        const bar = this.recordingOverlay.querySelector('.recording-progress-bar');
+
+        this.recorder = new TryOnRecorder({
+            engine: this.engine,
+            format: this.recordFormat.value,
+            onCountdown: (remaining) => {
+                countdown.textContent = remaining > 0 ? remaining : '';
+                if (remaining === 0) {
+                    this.recordingOverlay.classList.add('recording');
+                    this.recordBtn.textContent = 'Stop';
+                }
+            },
+            onProgress: (progress, elapsed) => {
+                const left = Math.max(0, this.recorder.maxDuration - elapsed);
+                time.textContent = `${(left / 1000).toFixed(1)}s`;
+                bar.style.width = `${progress * 100}%`;
+            }
+        });
+
+        this.recordBtn.textContent = 'Cancel';
+        this.recordFormat.disabled = true;
+        this.captureBtn.disabled = true;
+        bar.style.width = '0%';
+        time.textContent = '';
+        this.recordingOverlay.classList.add('visible');
+
+        try {
+            const result = await this.recorder.record();
+            if (result) {
+                this.setCaptured(result);
+                this.showCapturedMedia(result);
+                document.getElementById('captureModal').style.display = 'block';
+            }
+        } catch (error) {
+            console.error('Recording failed:', error);
+            alert(`Recording failed: ${error.message}`);
+        } finally {
+            this.recordingOverlay.classList.remove('visible', 'recording');
+            countdown.textContent = '';
+            this.recordBtn.textContent = 'Record';
+            this.recordFormat.disabled = false;
+            this.captureBtn.disabled = false;
+        }
+    }
+
+    // Recordings are object URLs, freed when the next capture replaces them
+    setCaptured(captured) {
+        if (this.captured && this.captured.url.startsWith('blob:')) {
+            URL.revokeObjectURL(this.captured.url);
+        }
+        this.captured = captured;
+    }
+
+    // Photos stay on the modal's canvas; clips play in a video or image
+    // element next to it
+    showCapturedMedia(recording) {
+        const capturedCanvas = document.getElementById('capturedCanvas');
+        let media = document.getElementById('capturedMedia');
+        if (media) media.remove();
+
+        capturedCanvas.style.display = recording ? 'none' : '';
+        if (!recording) return;
+
+        if (recording.type.startsWith('video/')) {
+            media = document.createElement('video');
+            media.controls = true;
+            media.loop = true;
+            media.muted = true;
+            media.autoplay = true;
+            media.playsInline = true;
+        } else {
+            media = document.createElement('img');
+            media.alt = 'Your try-on recording';
+        }
+        media.id = 'capturedMedia';
+        media.src = recording.url;
+        capturedCanvas.parentElement.insertBefore(media, capturedCanvas.nextSibling);
+    }
+
     downloadPhoto() {
-        if (!this.capturedImageData) return;
+        if (!this.captured) return;
 
         const link = document.createElement('a');
-        link.download = `addsub-tryou-${Date.now()}.png`;
-        link.href = this.capturedImageData;
+        link.download = `addsub-tryou-${Date.now()}.${this.captured.extension}`;
+        link.href = this.captured.url;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
     }
 
     async sharePhoto() {
-        if (!this.capturedImageData) return;
+        if (!this.captured) return;
 
         if (navigator.share) {
             try {
-                const response = await fetch(this.capturedImageData);
+                const response = await fetch(this.captured.url);
                 const blob = await response.blob();
-                const file = new File([blob], 'addsub-tryou.png', { type: 'image/png' });
+                const file = new File([blob], `addsub-tryou.${this.captured.extension}`, { type: this.captured.type });
 
                 await navigator.share({
                     title: 'My AddSub Virtual Try-On',
@@ -270,13 +915,16 @@ class VirtualTryOnApp {
         document.getElementById('widthValue').textContent = '1.0';
         document.getElementById('heightValue').textContent = '0';
         
-        if (this.glassesRenderer) {
-            this.glassesRenderer.updateScale(1.0);
-            this.glassesRenderer.updateWidth(1.0);
-            this.glassesRenderer.updateHeightOffset(0);
+        if (this.engine) {
+            this.engine.setAdjustments({ scale: 1.0, width: 1.0, heightOffset: 0 });
         }
         
+        this.selectFace(null);
         this.changeFrame('classic');
+        this.changeLensTint(null);
+        const camera = this.engine && this.engine.getCameraSettings();
+        this.setMirrored(!camera || camera.facing !== 'back');
+        this.setFit('cover');
     }
 
     resizeCanvases() {
@@ -286,21 +934,11 @@ class VirtualTryOnApp {
         const width = Math.floor(rect.width);
         const height = Math.floor(rect.height);
         
-        // Set canvas dimensions
+        // The selection canvas; the engine sizes the glasses canvas itself
         this.canvasElement.width = width;
         this.canvasElement.height = height;
-        this.outputCanvas.width = width;
-        this.outputCanvas.height = height;
-        
-        // Update CSS size too
         this.canvasElement.style.width = width + 'px';
         this.canvasElement.style.height = height + 'px';
-        this.outputCanvas.style.width = width + 'px';
-        this.outputCanvas.style.height = height + 'px';
-        
-        if (this.glassesRenderer) {
-            this.glassesRenderer.resize(width, height);
-        }
     }
 
     setupResizeHandler() {
@@ -325,17 +963,35 @@ class VirtualTryOnApp {
         }
     }
 
-    showError(message) {
+    showError(message, canRetry = false) {
         this.hideLoading();
         if (this.errorMessage) {
             this.errorMessage.querySelector('p').textContent = message;
             this.errorMessage.style.display = 'block';
+
+            if (!this.retryBtn) {
+                this.retryBtn = document.createElement('button');
+                this.retryBtn.className = 'action-btn primary retry-btn';
+                this.retryBtn.textContent = 'Try Again';
+                this.retryBtn.addEventListener('click', () => this.startCamera());
+                this.errorMessage.appendChild(this.retryBtn);
+            }
+            this.retryBtn.style.display = canRetry ? '' : 'none';
+        }
+    }
+
+    hideError() {
+        if (this.errorMessage) {
+            this.errorMessage.style.display = 'none';
         }
     }
 
     destroy() {
-        if (this.faceTracker) {
-            this.faceTracker.stop();
+        if (this.engine) {
+            this.engine.destroy();
+        }
+        if (this.looksGallery) {
+            this.looksGallery.destroy();
         }
         this.isInitialized = false;
     }
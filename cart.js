@@ -0,0 +1,201 @@
+// Shopping cart kept in localStorage, so it survives reloads and is shared
+// by every open tab. Each line is one frame configuration: frame, size,
+// colour and lens package.
+class ShoppingCart {
+    constructor(options = {}) {
+        this.storage = options.storage || window.localStorage;
+        this.storageKey = options.storageKey || ShoppingCart.STORAGE_KEY;
+        this.listeners = [];
+        this.state = this.read();
+
+        // Another tab changed the cart
+        if (options.syncTabs !== false) {
+            window.addEventListener('storage', (e) => {
+                if (e.key === this.storageKey) {
+                    this.state = this.read();
+                    this.notify();
+                }
+            });
+        }
+    }
+
+    // One cart per page, shared by all scripts on it
+    static shared() {
+        if (!ShoppingCart.instance) {
+            ShoppingCart.instance = new ShoppingCart();
+        }
+        return ShoppingCart.instance;
+    }
+
+    read() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            if (saved && saved.version === ShoppingCart.VERSION && Array.isArray(saved.items)) {
+                return saved;
+            }
+        } catch (error) {
+            // Corrupt data or storage disabled; start with an empty cart
+            console.warn('Could not read the saved cart:', error);
+        }
+        return { version: ShoppingCart.VERSION, items: [], coupon: null };
+    }
+
+    write() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Could not save the cart:', error);
+        }
+        this.notify();
+    }
+
+    getItems() {
+        return this.state.items.slice();
+    }
+
+    // Adding the same configuration again raises its quantity
+    addItem(item) {
+        if (!item || !item.frameId || !(item.price >= 0)) {
+            throw new Error('Cart items need a frameId and a price');
+        }
+
+        const line = {
+            frameId: item.frameId,
+            name: item.name || item.frameId,
+            image: item.image || null,
+            price: item.price,
+            size: item.size || null,
+            colour: item.colour || null,
+            lens: item.lens || null,
+            quantity: Math.max(1, item.quantity || 1)
+        };
+        line.key = ShoppingCart.configurationKey(line);
+
+        const existing = this.state.items.find(entry => entry.key === line.key);
+        if (existing) {
+            existing.quantity = Math.min(ShoppingCart.MAX_QUANTITY, existing.quantity + line.quantity);
+            this.write();
+            return existing;
+        }
+
+        line.id = `line-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+        line.quantity = Math.min(ShoppingCart.MAX_QUANTITY, line.quantity);
+        line.addedAt = new Date().toISOString();
+        this.state.items.push(line);
+        this.write();
+        return line;
+    }
+
+    // A quantity of zero removes the line
+    updateQuantity(lineId, quantity) {
+        const line = this.state.items.find(entry => entry.id === lineId);
+        if (!line) return;
+
+        if (quantity <= 0) {
+            this.removeItem(lineId);
+            return;
+        }
+        line.quantity = Math.min(ShoppingCart.MAX_QUANTITY, Math.floor(quantity));
+        this.write();
+    }
+
+    removeItem(lineId) {
+        this.state.items = this.state.items.filter(entry => entry.id !== lineId);
+        this.write();
+    }
+
+    clear() {
+        this.state.items = [];
+        this.state.coupon = null;
+        this.write();
+    }
+
+    applyCoupon(code) {
+        const normalized = (code || '').trim().toUpperCase();
+        if (!ShoppingCart.COUPONS[normalized]) {
+            throw new Error('That coupon code is not valid');
+        }
+        this.state.coupon = normalized;
+        this.write();
+    }
+
+    removeCoupon() {
+        this.state.coupon = null;
+        this.write();
+    }
+
+    getCoupon() {
+        const code = this.state.coupon;
+        return code ? Object.assign({ code }, ShoppingCart.COUPONS[code]) : null;
+    }
+
+    getCount() {
+        return this.state.items.reduce((count, line) => count + line.quantity, 0);
+    }
+
+    // Frame plus lens package, per pair
+    static getUnitPrice(line) {
+        return line.price + (line.lens && line.lens.price ? line.lens.price : 0);
+    }
+
+    static getLineTotal(line) {
+        return ShoppingCart.getUnitPrice(line) * line.quantity;
+    }
+
+    getTotals() {
+        const subtotal = this.state.items.reduce((sum, line) => sum + ShoppingCart.getLineTotal(line), 0);
+
+        const coupon = this.getCoupon();
+        const discount = coupon ? Math.round(subtotal * coupon.percent / 100) : 0;
+        const afterDiscount = subtotal - discount;
+
+        // Free shipping on orders above the threshold, after discounts
+        const freeShipping = afterDiscount > ShoppingCart.FREE_SHIPPING_THRESHOLD;
+        const shipping = subtotal === 0 || freeShipping ? 0 : ShoppingCart.SHIPPING_FEE;
+
+        return {
+            subtotal,
+            discount,
+            shipping,
+            total: afterDiscount + shipping,
+            freeShippingRemaining: freeShipping ? 0 : ShoppingCart.FREE_SHIPPING_THRESHOLD + 1 - afterDiscount
+        };
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Keeps header badges showing the number of pairs in the cart
+    bindCount(selector = '.cart-count') {
+        const update = () => {
+            document.querySelectorAll(selector).forEach(element => {
+                element.textContent = this.getCount();
+            });
+        };
+        update();
+        return this.subscribe(update);
+    }
+
+    static configurationKey(line) {
+        return JSON.stringify([line.frameId, line.size, line.colour, line.lens]);
+    }
+}
+
+ShoppingCart.VERSION = 1;
+ShoppingCart.STORAGE_KEY = 'addsub-cart';
+ShoppingCart.FREE_SHIPPING_THRESHOLD = 999;
+ShoppingCart.SHIPPING_FEE = 99;
+ShoppingCart.MAX_QUANTITY = 10;
+ShoppingCart.instance = null;
+
+ShoppingCart.COUPONS = {
+    FIRST50: { percent: 50, description: '50% off your first order' }
+};
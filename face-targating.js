@@ -1,54 +1,65 @@
 // Face Detection and Tracking with MediaPipe
 class FaceTracker {
-    constructor() {
+    constructor(options = {}) {
+        this.maxNumFaces = options.maxNumFaces || 1;
+        this.identityTracker = new FaceIdentityTracker();
         this.faceMesh = null;
         this.camera = null;
         this.onResultsCallback = null;
+        this.videoElement = null;
+        this.imageFaceMesh = null;
+        this.imageSize = null;
+        this.poseEstimator = new HeadPoseEstimator();
         this.isInitialized = false;
         this.lastDetectionTime = 0;
         this.detectionInterval = 33; // ~30 FPS
+        this.tracking = false; // video loop started by track()
+        this.loopId = 0; // the current loop's; older ones end themselves
+        this.frameRequest = null;
+        this.horizontalFov = 60; // Typical laptop webcam, in degrees
+        // Preferred camera resolution. The camera may pick another, so
+        // sizes are always read back from the video once it plays.
+        this.cameraSize = options.cameraSize || { width: 1920, height: 1080 };
+        // Opens the camera; pass one in to hear about devices and lost cameras
+        this.camera = options.camera || null;
+        this.ownsCamera = false; // opened by init(), so dispose() destroys it
+        this.disposals = 0;
+        // Face detection failed on a video frame and tracking stopped: (error)
+        this.onError = options.onError || null;
     }
 
-    async init(videoElement, canvasElement, onResults) {
+    // camera picks the device: { deviceId } or { facing: 'front' | 'back' }
+    async init(videoElement, canvasElement, onResults, camera = {}) {
         try {
             this.onResultsCallback = onResults;
+            this.videoElement = videoElement;
 
             // Initialize MediaPipe Face Mesh
-            this.faceMesh = new FaceMesh({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
-                }
-            });
-
-            // Configure Face Mesh
-            this.faceMesh.setOptions({
-                maxNumFaces: 1,
-                refineLandmarks: true,
-                minDetectionConfidence: 0.5,
-                minTrackingConfidence: 0.5
-            });
-
-            // Set up results callback
-            this.faceMesh.onResults((results) => {
-                this.onResults(results);
-            });
+            if (!this.faceMesh) {
+                this.faceMesh = this.createFaceMesh();
+            }
 
-            // Initialize camera
-            this.camera = new Camera(videoElement, {
-                onFrame: async () => {
-                    const currentTime = Date.now();
-                    if (currentTime - this.lastDetectionTime >= this.detectionInterval) {
-                        await this.faceMesh.send({ image: videoElement });
-                        this.lastDetectionTime = currentTime;
-                    }
-                },
-                width: 1280,
-                height: 720
-            });
+            if (!this.camera) {
+                this.camera = new CameraManager();
+                this.ownsCamera = true;
+            }
+            const disposals = this.disposals;
+            const cameraManager = this.camera;
+            await cameraManager.start(videoElement, Object.assign({
+                width: this.cameraSize.width,
+                height: this.cameraSize.height
+            }, camera));
+            // dispose() ran while the camera was opening; close what it missed
+            if (disposals !== this.disposals) {
+                if (cameraManager === this.camera) {
+                    cameraManager.stop();
+                } else {
+                    cameraManager.destroy();
+                }
+                return;
+            }
+            this.track(videoElement, onResults);
 
-            // Start camera
-            await this.camera.start();
-            
             this.isInitialized = true;
             console.log('Face tracking initialized successfully');
 
@@ -58,6 +69,89 @@ class FaceTracker {
         }
     }
 
+    createFaceMesh() {
+        const faceMesh = new FaceMesh({ locateFile: FaceTracker.locateFile });
+        faceMesh.setOptions({
+            maxNumFaces: this.maxNumFaces,
+            refineLandmarks: true,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+        faceMesh.onResults((results) => {
+            this.onResults(results);
+        });
+        return faceMesh;
+    }
+
+    // Tracks faces in a video element that is already playing, such as a
+    // video file, without the camera helper
+    track(videoElement, onResults) {
+        this.onResultsCallback = onResults;
+        this.videoElement = videoElement;
+        if (!this.faceMesh) {
+            this.faceMesh = this.createFaceMesh();
+        }
+
+        this.tracking = true;
+        // A stop() and track() while a frame is still in send() must not
+        // leave the old loop running alongside the new one
+        const loop = ++this.loopId;
+        const step = async () => {
+            if (!this.tracking || loop !== this.loopId) return;
+            const currentTime = Date.now();
+            if (videoElement.readyState >= 2 && !videoElement.paused &&
+                currentTime - this.lastDetectionTime >= this.detectionInterval) {
+                this.lastDetectionTime = currentTime;
+                try {
+                    await this.faceMesh.send({ image: videoElement });
+                } catch (error) {
+                    if (loop === this.loopId) this.handleError(error);
+                    return;
+                }
+            }
+            if (this.tracking && loop === this.loopId) {
+                this.frameRequest = requestAnimationFrame(step);
+            }
+        };
+        step();
+        this.isInitialized = true;
+    }
+
+    // Faces in a still image, e.g. an uploaded photo. Uses its own FaceMesh
+    // in static image mode, so it works with or without the camera running.
+    // Looks for several faces, so callers can tell a group photo apart.
+    async detectImage(image) {
+        if (!this.imageFaceMesh) {
+            this.imageFaceMesh = new FaceMesh({ locateFile: FaceTracker.locateFile });
+            this.imageFaceMesh.setOptions({
+                staticImageMode: true,
+                maxNumFaces: FaceTracker.MAX_IMAGE_FACES,
+                refineLandmarks: true,
+                minDetectionConfidence: 0.5
+            });
+        }
+
+        let results = null;
+        this.imageFaceMesh.onResults((output) => {
+            results = output;
+        });
+        await this.imageFaceMesh.send({ image: image });
+
+        // Pose and iris scale are measured against the photo, not the video
+        this.imageSize = {
+            width: image.naturalWidth || image.width,
+            height: image.naturalHeight || image.height
+        };
+        try {
+            // Stills have no history to track identities over; number the faces
+            return ((results && results.multiFaceLandmarks) || []).map((landmarks, index) => {
+                return Object.assign(this.processFace(landmarks), { id: index });
+            });
+        } finally {
+            this.imageSize = null;
+        }
+    }
+
     onResults(results) {
         if (this.onResultsCallback) {
             // Process and clean the results
@@ -66,13 +160,18 @@ class FaceTracker {
         }
     }
 
+    // Returns one entry per detected face, each with a stable id
     processResults(results) {
-        if (!results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
-            return null;
-        }
+        const faces = (results.multiFaceLandmarks || []).map(landmarks => this.processFace(landmarks));
+        this.identityTracker.assign(faces);
+        return faces;
+    }
 
-        const landmarks = results.multiFaceLandmarks[0];
-        
+    getTrackedIds() {
+        return this.identityTracker.getTrackedIds();
+    }
+
+    processFace(landmarks) {
         // Key landmark indices for glasses positioning
         const keyLandmarks = {
             // Eyes
@@ -106,7 +205,8 @@ class FaceTracker {
             keyLandmarks: keyLandmarks,
             confidence: this.calculateConfidence(landmarks),
             faceRect: this.calculateFaceRect(landmarks),
-            headPose: this.calculateHeadPose(keyLandmarks)
+            headPose: this.calculateHeadPose(landmarks),
+            iris: this.calculateIrisMetrics(landmarks)
         };
     }
 
@@ -152,55 +252,651 @@ class FaceTracker {
         };
     }
 
-    calculateHeadPose(keyLandmarks) {
-        if (!keyLandmarks.leftEyeCenter || !keyLandmarks.rightEyeCenter || !keyLandmarks.noseTip) {
-            return { pitch: 0, yaw: 0, roll: 0 };
-        }
+    calculateHeadPose(landmarks) {
+        const pose = this.poseEstimator.estimate(landmarks, this.getImageAspect());
+        return pose || { pitch: 0, yaw: 0, roll: 0 };
+    }
 
-        const leftEye = keyLandmarks.leftEyeCenter;
-        const rightEye = keyLandmarks.rightEyeCenter;
-        const nose = keyLandmarks.noseTip;
+    // Real-world scale from the iris, whose diameter is nearly constant across
+    // adults. Needs the refined (478 point) landmarks. Sizes are in image heights.
+    calculateIrisMetrics(landmarks) {
+        if (!landmarks || landmarks.length < 478) return null;
 
-        // Calculate roll (rotation around z-axis)
-        const eyeDeltaX = rightEye.x - leftEye.x;
-        const eyeDeltaY = rightEye.y - leftEye.y;
-        const roll = Math.atan2(eyeDeltaY, eyeDeltaX);
+        const aspect = this.getImageAspect();
+        const span = (a, b) => Math.hypot((a.x - b.x) * aspect, a.y - b.y);
 
-        // Calculate yaw (rotation around y-axis)
-        const eyeCenterX = (leftEye.x + rightEye.x) / 2;
-        const noseOffsetX = nose.x - eyeCenterX;
-        const yaw = Math.atan2(noseOffsetX, 0.1);
+        // Each iris has four ring points; take the wider of the two spans, since
+        // turning the head only ever foreshortens one of them
+        const irisRings = [[469, 470, 471, 472], [474, 475, 476, 477]];
+        const diameters = irisRings.map(([a, b, c, d]) =>
+            Math.max(span(landmarks[a], landmarks[c]), span(landmarks[b], landmarks[d]))
+        );
+        const diameter = (diameters[0] + diameters[1]) / 2;
+        if (!(diameter > 0)) return null;
 
-        // Calculate pitch (rotation around x-axis)
-        const eyeCenterY = (leftEye.y + rightEye.y) / 2;
-        const noseOffsetY = nose.y - eyeCenterY;
-        const pitch = Math.atan2(noseOffsetY, 0.1);
+        const imageHeightsPerMm = diameter / FaceTracker.IRIS_DIAMETER_MM;
+        const focal = (aspect / 2) / Math.tan((this.horizontalFov * Math.PI / 180) / 2);
 
         return {
-            pitch: pitch,
-            yaw: yaw,
-            roll: roll
+            diameter: diameter,
+            imageHeightsPerMm: imageHeightsPerMm,
+            mmPerPixel: 1 / (imageHeightsPerMm * this.getImageHeight()),
+            distanceMm: focal / imageHeightsPerMm
         };
     }
 
+    getImageHeight() {
+        if (this.imageSize) return this.imageSize.height;
+        const video = this.videoElement;
+        return (video && video.videoHeight) || this.cameraSize.height;
+    }
+
+    getImageAspect() {
+        if (this.imageSize) return this.imageSize.width / this.imageSize.height;
+        const video = this.videoElement;
+        if (video && video.videoWidth && video.videoHeight) {
+            return video.videoWidth / video.videoHeight;
+        }
+        return this.cameraSize.width / this.cameraSize.height;
+    }
+
     stop() {
         if (this.camera) {
             this.camera.stop();
         }
+        this.tracking = false;
+        cancelAnimationFrame(this.frameRequest);
         this.isInitialized = false;
     }
 
+    // Stops tracking and closes the FaceMeshes, each of which holds a WASM
+    // heap and a GL context, plus the camera if init() opened it. A later
+    // init() or track() starts over with new ones.
+    dispose() {
+        this.disposals++;
+        this.stop();
+        [this.faceMesh, this.imageFaceMesh].forEach(faceMesh => {
+            if (faceMesh) {
+                Promise.resolve(faceMesh.close()).catch(() => {});
+            }
+        });
+        this.faceMesh = null;
+        this.imageFaceMesh = null;
+        if (this.camera && this.ownsCamera) {
+            this.camera.destroy();
+            this.camera = null;
+            this.ownsCamera = false;
+        }
+    }
+
+    // MediaPipe can't be trusted after a failed frame
+    handleError(error) {
+        console.error('Face tracking failed:', error);
+        this.dispose();
+        if (this.onError) this.onError(error);
+    }
+
     restart() {
-        if (this.camera) {
-            this.camera.start();
+        if (this.camera && this.videoElement) {
+            return this.camera.restart(this.videoElement)
+                .then(() => this.track(this.videoElement, this.onResultsCallback));
         }
+        return Promise.resolve();
     }
 
     isReady() {
         return this.isInitialized && this.camera;
     }
+
+    // MediaPipe fetches its model and wasm files through this
+    static locateFile(file) {
+        return `${FaceTracker.getAssetBase()}${file}`;
+    }
+
+    // Next to whichever face_mesh.js the page ended up with: the site's own
+    // copy, or the CDN one vendor-fallback.js loads when that is missing
+    static getAssetBase() {
+        if (FaceTracker.ASSET_BASE) return FaceTracker.ASSET_BASE;
+        const scripts = Array.from(document.querySelectorAll('script[src]'))
+            .filter(script => /\/face_mesh\.js(\?|$)/.test(script.src));
+        if (!scripts.length) return FaceTracker.DEFAULT_ASSET_BASE;
+        return scripts[scripts.length - 1].src.replace(/[^/]*$/, '');
+    }
+}
+
+// Where the @mediapipe/face_mesh files are served from. They are hosted with
+// the site so the try-on works offline (service-worker.js caches them). Left
+// null they are looked up next to face_mesh.js; set this before the first
+// tracker starts to serve them from elsewhere.
+FaceTracker.ASSET_BASE = null;
+FaceTracker.DEFAULT_ASSET_BASE = 'vendor/mediapipe/face_mesh/';
+
+// Opens a camera into a video element and keeps an eye on it. Devices are
+// listed as front, back or external; the stream is raised to the best
+// resolution and frame rate the camera offers up to what was asked for; and
+// onEnded hears when the camera is unplugged or its permission revoked, so
+// pages can offer a retry instead of a reload.
+class CameraManager {
+    constructor(options = {}) {
+        this.frameRate = options.frameRate || CameraManager.FRAME_RATE;
+        this.onEnded = options.onEnded || null; // (reason) 'ended' or 'denied'
+        this.onDevicesChanged = options.onDevicesChanged || null; // (devices)
+
+        this.stream = null;
+        this.video = null;
+        this.request = null; // last start() request, for restart()
+        this.facing = null; // 'front', 'back' or 'external'
+        this.deviceId = null;
+        this.permission = null;
+
+        this.endedHandler = () => this.handleEnded('ended');
+        this.deviceChangeHandler = () => this.handleDeviceChange();
+        if (CameraManager.isSupported() && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', this.deviceChangeHandler);
+        }
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices) &&
+            typeof navigator.mediaDevices.getUserMedia === 'function';
+    }
+
+    // Video inputs as { deviceId, label, facing }. Labels are empty until the
+    // page has been given camera access once.
+    async listDevices() {
+        if (!CameraManager.isSupported() || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`,
+                facing: CameraManager.getFacing(device.label)
+            }));
+    }
+
+    // request is { deviceId } or { facing: 'front' | 'back' }, plus the
+    // preferred width and height
+    async start(video, request = {}) {
+        if (!CameraManager.isSupported()) {
+            throw new DOMException('Camera access needs a browser with camera support on a secure (https) page', 'NotSupportedError');
+        }
+        this.stop();
+        this.request = Object.assign({}, request);
+
+        const stream = await this.open(request);
+        this.stream = stream;
+        this.video = video;
+        const track = stream.getVideoTracks()[0];
+        track.addEventListener('ended', this.endedHandler);
+        await this.negotiate(track, request);
+
+        const settings = track.getSettings ? track.getSettings() : {};
+        this.deviceId = settings.deviceId || null;
+        this.facing = CameraManager.getFacing(track.label, settings.facingMode);
+
+        video.srcObject = stream;
+        video.muted = true;
+        video.playsInline = true;
+        await new Promise(resolve => {
+            if (video.readyState >= 1) resolve();
+            else video.addEventListener('loadedmetadata', resolve, { once: true });
+        });
+        await video.play();
+
+        this.watchPermission();
+        return this.getSettings();
+    }
+
+    restart(video = this.video) {
+        return this.start(video, this.request || {});
+    }
+
+    // Asks for the chosen camera at the preferred size first, then for less:
+    // older cameras can reject the size, and a phone may have no back camera
+    async open(request) {
+        const attempts = [
+            CameraManager.getConstraints(request, this.frameRate),
+            CameraManager.getConstraints({ deviceId: request.deviceId, facing: request.facing }),
+            true
+        ];
+
+        let lastError = null;
+        for (const video of attempts) {
+            try {
+                return await navigator.mediaDevices.getUserMedia({ video: video, audio: false });
+            } catch (error) {
+                lastError = error;
+                // Asking for less won't change a refusal
+                if (CameraManager.getErrorReason(error) === 'denied') throw error;
+            }
+        }
+        throw lastError;
+    }
+
+    static getConstraints(request, frameRate = null) {
+        const video = {};
+        if (request.deviceId) {
+            video.deviceId = { exact: request.deviceId };
+        } else if (request.facing) {
+            video.facingMode = { ideal: request.facing === 'back' ? 'environment' : 'user' };
+        }
+        if (request.width && request.height) {
+            video.width = { ideal: request.width };
+            video.height = { ideal: request.height };
+        }
+        if (frameRate) {
+            video.frameRate = { ideal: frameRate };
+        }
+        return video;
+    }
+
+    // Browsers often start a camera at 640x480 whatever it can do, so ask
+    // again for the best mode it reports within the preferred size
+    async negotiate(track, request) {
+        if (!track.getCapabilities || !request.width || !request.height) return;
+
+        const mode = CameraManager.getBestMode(track.getCapabilities(), request, this.frameRate);
+        const settings = track.getSettings();
+        if (!mode || (mode.width === settings.width && mode.height === settings.height &&
+            (!mode.frameRate || mode.frameRate === settings.frameRate))) {
+            return;
+        }
+
+        const constraints = { width: { ideal: mode.width }, height: { ideal: mode.height } };
+        if (mode.frameRate) {
+            constraints.frameRate = { ideal: mode.frameRate };
+        }
+        try {
+            await track.applyConstraints(constraints);
+        } catch (error) {
+            console.warn('Camera kept its starting resolution:', error);
+        }
+    }
+
+    // The largest size within the preferred one, in the preferred
+    // orientation, and the highest frame rate up to the one asked for.
+    // Face tracking gains nothing beyond that. The preferred size shrinks
+    // evenly to fit, so a portrait request to a landscape camera stays
+    // portrait (1080x1920 on a 1920x1080 camera asks for 608x1080).
+    static getBestMode(capabilities, preferred, frameRate) {
+        if (!capabilities.width || !capabilities.height) return null;
+
+        const scale = Math.min(1,
+            capabilities.width.max / preferred.width,
+            capabilities.height.max / preferred.height);
+        const mode = {
+            width: Math.round(preferred.width * scale),
+            height: Math.round(preferred.height * scale)
+        };
+        if (capabilities.frameRate && capabilities.frameRate.max) {
+            mode.frameRate = Math.min(capabilities.frameRate.max, frameRate);
+        }
+        return mode;
+    }
+
+    // What the camera actually delivers: { width, height, frameRate, deviceId, facing }
+    getSettings() {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        return {
+            width: settings.width || (this.video && this.video.videoWidth) || 0,
+            height: settings.height || (this.video && this.video.videoHeight) || 0,
+            frameRate: settings.frameRate || null,
+            deviceId: this.deviceId,
+            facing: this.facing
+        };
+    }
+
+    // Some browsers stop the track when access is revoked, others only
+    // change the permission
+    async watchPermission() {
+        if (this.permission || !navigator.permissions || !navigator.permissions.query) return;
+        try {
+            this.permission = await navigator.permissions.query({ name: 'camera' });
+            this.permission.onchange = () => {
+                if (this.permission.state === 'denied' && this.stream) {
+                    this.handleEnded('denied');
+                }
+            };
+        } catch (error) {
+            // Not every browser lets pages query the camera permission
+        }
+    }
+
+    handleEnded(reason) {
+        if (!this.stream) return;
+        this.stop();
+        if (this.onEnded) this.onEnded(reason);
+    }
+
+    async handleDeviceChange() {
+        if (!this.onDevicesChanged) return;
+        try {
+            this.onDevicesChanged(await this.listDevices());
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+        }
+    }
+
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => {
+                track.removeEventListener('ended', this.endedHandler);
+                track.stop();
+            });
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.srcObject = null;
+        }
+    }
+
+    destroy() {
+        this.stop();
+        if (this.permission) this.permission.onchange = null;
+        if (CameraManager.isSupported() && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.deviceChangeHandler);
+        }
+    }
+
+    // 'front', 'back' or 'external', from the facing mode when the browser
+    // reports one, otherwise from the device label
+    static getFacing(label = '', facingMode = null) {
+        if (facingMode === 'user') return 'front';
+        if (facingMode === 'environment') return 'back';
+        if (/back|rear|environment/i.test(label)) return 'back';
+        if (/front|user|facetime|integrated|built-in|internal/i.test(label)) return 'front';
+        return 'external';
+    }
+
+    // Why the camera could not start: 'denied', 'not-found', 'in-use',
+    // 'unsupported' or 'unknown'
+    static getErrorReason(error) {
+        switch (error && error.name) {
+            case 'NotAllowedError':
+            case 'PermissionDeniedError':
+            case 'SecurityError':
+                return 'denied';
+            case 'NotFoundError':
+            case 'DevicesNotFoundError':
+            case 'OverconstrainedError':
+                return 'not-found';
+            case 'NotReadableError':
+            case 'TrackStartError':
+            case 'AbortError':
+                return 'in-use';
+            case 'NotSupportedError':
+                return 'unsupported';
+            default:
+                return 'unknown';
+        }
+    }
+}
+
+CameraManager.FRAME_RATE = 30; // The tracker runs at about 30 FPS
+
+// Keeps face ids stable between frames by matching each detection to the
+// nearest face rect seen recently. Ids survive short detection dropouts, so a
+// face keeps its frame choice and smoothing history while briefly lost.
+class FaceIdentityTracker {
+    constructor(options = {}) {
+        this.retentionTime = options.retentionTime || 1000; // ms
+        this.maxMatchDistance = options.maxMatchDistance || 0.75; // face widths
+        this.tracks = new Map();
+        this.nextId = 0;
+    }
+
+    assign(faces, timestamp = Date.now()) {
+        this.forgetStale(timestamp);
+
+        // Greedily pair the closest detection/track pairs first
+        const pairs = [];
+        faces.forEach((face, faceIndex) => {
+            if (!face.faceRect) return;
+            this.tracks.forEach((track, id) => {
+                const distance = Math.hypot(
+                    face.faceRect.centerX - track.rect.centerX,
+                    face.faceRect.centerY - track.rect.centerY
+                );
+                const limit = this.maxMatchDistance * Math.max(face.faceRect.width, track.rect.width);
+                if (distance <= limit) {
+                    pairs.push({ faceIndex, id, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const matchedFaces = new Set();
+        const matchedIds = new Set();
+        for (const pair of pairs) {
+            if (matchedFaces.has(pair.faceIndex) || matchedIds.has(pair.id)) continue;
+            faces[pair.faceIndex].id = pair.id;
+            matchedFaces.add(pair.faceIndex);
+            matchedIds.add(pair.id);
+        }
+
+        faces.forEach((face, faceIndex) => {
+            if (!matchedFaces.has(faceIndex)) {
+                face.id = this.nextId++;
+            }
+            if (face.faceRect) {
+                this.tracks.set(face.id, { rect: face.faceRect, lastSeen: timestamp });
+            }
+        });
+
+        return faces;
+    }
+
+    forgetStale(timestamp) {
+        this.tracks.forEach((track, id) => {
+            if (timestamp - track.lastSeen > this.retentionTime) {
+                this.tracks.delete(id);
+            }
+        });
+    }
+
+    getTrackedIds() {
+        return Array.from(this.tracks.keys());
+    }
+
+    reset() {
+        this.tracks.clear();
+    }
 }
 
+// Tracking state for the face driving the try-on:
+//   searching      - no face yet, or lost for a while
+//   tracking       - face found and well inside the frame
+//   low-confidence - face found but partly out of frame, tiny or unreliable
+//   lost           - face just disappeared; may come back any moment
+class TrackingStateMachine {
+    constructor(options = {}) {
+        this.minConfidence = options.minConfidence || 0.75;
+        this.minFaceWidth = options.minFaceWidth || 0.08;
+        this.lostAfter = options.lostAfter || 300; // ms without a face
+        this.searchingAfter = options.searchingAfter || 3000; // ms lost
+        this.recoverFrames = options.recoverFrames || 3;
+        this.onChange = options.onChange || null;
+
+        this.state = 'searching';
+        this.lastSeen = null;
+        this.goodFrames = 0;
+    }
+
+    update(face, timestamp = Date.now()) {
+        if (!face) {
+            this.goodFrames = 0;
+            if (this.lastSeen === null) {
+                this.setState('searching');
+            } else if (timestamp - this.lastSeen > this.searchingAfter) {
+                this.setState('searching');
+            } else if (timestamp - this.lastSeen > this.lostAfter) {
+                this.setState('lost');
+            }
+            return this.state;
+        }
+
+        this.lastSeen = timestamp;
+
+        if (this.isReliable(face)) {
+            this.goodFrames++;
+            // Require a few good frames in a row before showing the glasses
+            // fully, so a flickering detection doesn't flash them on and off
+            if (this.state === 'low-confidence' || this.goodFrames >= this.recoverFrames) {
+                this.setState('tracking');
+            }
+        } else {
+            this.goodFrames = 0;
+            this.setState('low-confidence');
+        }
+        return this.state;
+    }
+
+    isReliable(face) {
+        if (face.confidence < this.minConfidence) return false;
+
+        const rect = face.faceRect;
+        if (!rect || rect.width < this.minFaceWidth) return false;
+
+        // A face cut off by the frame edge gives a poor pose
+        return rect.x > 0 && rect.y > 0 &&
+            rect.x + rect.width < 1 && rect.y + rect.height < 1;
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        if (this.onChange) {
+            this.onChange(state, previous);
+        }
+    }
+
+    reset() {
+        this.lastSeen = null;
+        this.goodFrames = 0;
+        this.setState('searching');
+    }
+}
+
+// Labels a face as oval, round, square, heart or oblong from outline
+// proportions. Ratios are collected over several frontal frames and the
+// median is classified, so one odd frame can't flip the result.
+class FaceShapeClassifier {
+    constructor(options = {}) {
+        this.sampleCount = options.sampleCount || 20;
+        this.maxYaw = options.maxYaw || 15 * Math.PI / 180;
+        this.maxPitch = options.maxPitch || 15 * Math.PI / 180;
+        this.samples = [];
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    addSample(faceResult, aspect) {
+        const ratios = this.measure(faceResult, aspect);
+        if (ratios) {
+            this.samples.push(ratios);
+            if (this.samples.length > this.sampleCount) {
+                this.samples.shift();
+            }
+        }
+        return this.getResult();
+    }
+
+    // Widths relative to the cheekbones, plus length over cheekbone width
+    measure(faceResult, aspect) {
+        if (!faceResult || !faceResult.landmarks || faceResult.landmarks.length < 468) return null;
+
+        const pose = faceResult.headPose;
+        if (pose && (Math.abs(pose.yaw) > this.maxYaw || Math.abs(pose.pitch) > this.maxPitch)) {
+            return null;
+        }
+
+        const landmarks = faceResult.landmarks;
+        const span = (a, b) => {
+            const dx = (landmarks[a].x - landmarks[b].x) * aspect;
+            const dy = landmarks[a].y - landmarks[b].y;
+            const dz = ((landmarks[a].z || 0) - (landmarks[b].z || 0)) * aspect;
+            return Math.sqrt(dx * dx + dy * dy + dz * dz);
+        };
+
+        const cheekWidth = span(234, 454);
+        if (cheekWidth === 0) return null;
+
+        return {
+            length: span(10, 152) / cheekWidth,
+            forehead: span(54, 284) / cheekWidth,
+            jaw: span(172, 397) / cheekWidth,
+            cheekWidth: cheekWidth,
+            // Real face width when the iris gives us a metric scale
+            faceWidthMm: faceResult.iris ? cheekWidth / faceResult.iris.imageHeightsPerMm : null
+        };
+    }
+
+    getResult() {
+        const count = this.samples.length;
+        if (count === 0) {
+            return { shape: null, scores: null, ratios: null, progress: 0, stable: false };
+        }
+
+        const median = (key) => {
+            const values = this.samples.map(sample => sample[key]).filter(value => value !== null);
+            if (values.length === 0) return null;
+            values.sort((a, b) => a - b);
+            const middle = Math.floor(values.length / 2);
+            return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+        };
+        const ratios = {
+            length: median('length'),
+            forehead: median('forehead'),
+            jaw: median('jaw'),
+            faceWidthMm: median('faceWidthMm')
+        };
+
+        const scores = FaceShapeClassifier.score(ratios);
+        const shape = Object.keys(scores).reduce((best, key) => scores[key] > scores[best] ? key : best);
+        const progress = Math.min(1, count / this.sampleCount);
+
+        return { shape, scores, ratios, progress, stable: progress === 1 };
+    }
+
+    // Closeness to each prototype, normalised so the scores sum to 1
+    static score(ratios) {
+        const scores = {};
+        let total = 0;
+        for (const [shape, prototype] of Object.entries(FaceShapeClassifier.PROTOTYPES)) {
+            const distance =
+                ((ratios.length - prototype.length) / 0.08) ** 2 +
+                ((ratios.forehead - prototype.forehead) / 0.06) ** 2 +
+                ((ratios.jaw - prototype.jaw) / 0.06) ** 2;
+            scores[shape] = Math.exp(-distance / 2);
+            total += scores[shape];
+        }
+        for (const shape in scores) {
+            scores[shape] = total > 0 ? scores[shape] / total : 0.2;
+        }
+        return scores;
+    }
+}
+
+// Typical proportions for each face shape, relative to cheekbone width
+FaceShapeClassifier.PROTOTYPES = {
+    oval: { length: 1.25, forehead: 0.84, jaw: 0.78 },
+    round: { length: 1.05, forehead: 0.84, jaw: 0.80 },
+    square: { length: 1.10, forehead: 0.90, jaw: 0.92 },
+    heart: { length: 1.20, forehead: 0.94, jaw: 0.70 },
+    oblong: { length: 1.45, forehead: 0.86, jaw: 0.84 }
+};
+
+// Average adult iris diameter (horizontal visible iris)
+FaceTracker.IRIS_DIAMETER_MM = 11.7;
+
+// More than one face in an uploaded photo is reported, so look for a few
+FaceTracker.MAX_IMAGE_FACES = 4;
+
 // Utility functions for landmark processing
 class LandmarkUtils {
     static distance(point1, point2) {
@@ -229,26 +925,387 @@ class LandmarkUtils {
             z: coordinate.z || 0
         };
     }
+}
 
-    static smoothLandmarks(currentLandmarks, previousLandmarks, smoothingFactor = 0.7) {
-        if (!previousLandmarks) return currentLandmarks;
+// Head pose from the face mesh. The landmarks are aligned with a canonical face
+// model (similarity transform, Horn's quaternion method), which gives a full
+// rotation, translation and scale instead of angles guessed from 2D offsets.
+//
+// Pose space matches the renderer's world axes: x right, y up, z towards the
+// camera. Units are image heights, so x runs 0..aspect and y runs 0..-1.
+class HeadPoseEstimator {
+    constructor(modelPoints = CANONICAL_FACE_MODEL) {
+        this.modelPoints = modelPoints;
+        this.indices = Object.keys(modelPoints).map(Number);
+    }
 
-        const smoothed = [];
-        for (let i = 0; i < currentLandmarks.length; i++) {
-            const current = currentLandmarks[i];
-            const previous = previousLandmarks[i];
-            
-            if (previous) {
-                smoothed.push({
-                    x: previous.x * smoothingFactor + current.x * (1 - smoothingFactor),
-                    y: previous.y * smoothingFactor + current.y * (1 - smoothingFactor),
-                    z: (previous.z || 0) * smoothingFactor + (current.z || 0) * (1 - smoothingFactor)
-                });
-            } else {
-                smoothed.push(current);
+    estimate(landmarks, aspect = 1) {
+        if (!landmarks || landmarks.length === 0) return null;
+
+        const source = [];
+        const target = [];
+        for (const index of this.indices) {
+            const landmark = landmarks[index];
+            if (!landmark) continue;
+            source.push(this.modelPoints[index]);
+            // MediaPipe z shares the x scale and grows away from the camera
+            target.push([landmark.x * aspect, -landmark.y, -(landmark.z || 0) * aspect]);
+        }
+        if (source.length < 4) return null;
+
+        const transform = HeadPoseEstimator.solveSimilarity(source, target);
+        const { rotation, quaternion } = transform;
+
+        // Euler angles in YXZ order (yaw, then pitch, then roll)
+        const pitch = Math.asin(-Math.max(-1, Math.min(1, rotation[1][2])));
+        const yaw = Math.atan2(rotation[0][2], rotation[2][2]);
+        const roll = Math.atan2(rotation[1][0], rotation[1][1]);
+
+        return {
+            pitch: pitch,
+            yaw: yaw,
+            roll: roll,
+            // Nose bridge in normalised image coordinates, where frames sit
+            anchor: landmarks[168] ? { x: landmarks[168].x, y: landmarks[168].y } : null,
+            rotationMatrix: rotation,
+            quaternion: quaternion,
+            translation: transform.translation,
+            scale: transform.scale
+        };
+    }
+
+    // Finds s, R, t minimising |target - (s * R * source + t)|
+    static solveSimilarity(source, target) {
+        const n = source.length;
+        const sourceMean = [0, 0, 0];
+        const targetMean = [0, 0, 0];
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < 3; k++) {
+                sourceMean[k] += source[i][k] / n;
+                targetMean[k] += target[i][k] / n;
             }
         }
-        
-        return smoothed;
+
+        // Cross-covariance and spread of both point sets
+        const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        let sourceSpread = 0;
+        let targetSpread = 0;
+        for (let i = 0; i < n; i++) {
+            const a = source[i].map((v, k) => v - sourceMean[k]);
+            const b = target[i].map((v, k) => v - targetMean[k]);
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) {
+                    S[r][c] += a[r] * b[c];
+                }
+            }
+            sourceSpread += a[0] * a[0] + a[1] * a[1] + a[2] * a[2];
+            targetSpread += b[0] * b[0] + b[1] * b[1] + b[2] * b[2];
+        }
+
+        const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+        const N = [
+            [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+            [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+            [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+            [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+        ];
+
+        // The optimal rotation is the eigenvector of the largest eigenvalue
+        const { values, vectors } = HeadPoseEstimator.jacobiEigen(N);
+        let best = 0;
+        for (let i = 1; i < 4; i++) {
+            if (values[i] > values[best]) best = i;
+        }
+        const [qw, qx, qy, qz] = vectors.map(row => row[best]);
+        const quaternion = qw < 0
+            ? { x: -qx, y: -qy, z: -qz, w: -qw }
+            : { x: qx, y: qy, z: qz, w: qw };
+
+        const rotation = HeadPoseEstimator.quaternionToMatrix(quaternion);
+        const scale = sourceSpread > 0 ? Math.sqrt(targetSpread / sourceSpread) : 1;
+
+        const translation = {
+            x: targetMean[0],
+            y: targetMean[1],
+            z: targetMean[2]
+        };
+        const rotatedMean = rotation.map(row =>
+            row[0] * sourceMean[0] + row[1] * sourceMean[1] + row[2] * sourceMean[2]
+        );
+        translation.x -= scale * rotatedMean[0];
+        translation.y -= scale * rotatedMean[1];
+        translation.z -= scale * rotatedMean[2];
+
+        return { rotation, quaternion, translation, scale };
+    }
+
+    static quaternionToMatrix({ x, y, z, w }) {
+        return [
+            [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+            [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+            [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)]
+        ];
+    }
+
+    // Cyclic Jacobi eigenvalue solver for small symmetric matrices.
+    // Eigenvectors are returned as the columns of `vectors`.
+    static jacobiEigen(matrix, maxSweeps = 32) {
+        const n = matrix.length;
+        const a = matrix.map(row => row.slice());
+        const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < maxSweeps; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    offDiagonal += a[p][q] * a[p][q];
+                }
+            }
+            if (offDiagonal < 1e-18) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) < 1e-15) continue;
+
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        return { values: a.map((row, i) => row[i]), vectors: v };
+    }
+}
+
+// Approximate adult face in millimetres, keyed by FaceMesh landmark index.
+// Origin is the nose bridge (168); x right in the image, y up, z towards the camera.
+const CANONICAL_FACE_MODEL = {
+    168: [0, 0, 0],        // Nose bridge
+    1: [0, -42, 20],       // Nose tip
+    10: [0, 62, -12],      // Top of forehead
+    152: [0, -118, -12],   // Chin
+    33: [-45, -4, -22],    // Left eye outer corner
+    133: [-16, -4, -10],   // Left eye inner corner
+    362: [16, -4, -10],    // Right eye inner corner
+    263: [45, -4, -22],    // Right eye outer corner
+    234: [-72, -22, -78],  // Left cheek (face edge)
+    454: [72, -22, -78],   // Right cheek (face edge)
+    61: [-25, -78, -6],    // Left mouth corner
+    291: [25, -78, -6]     // Right mouth corner
+};
+
+// Pose filtering. Filters run on the few values the renderer actually uses
+// (bridge anchor, metric scale and rotation) instead of all 478 landmarks.
+// Timestamps are in milliseconds.
+class OneEuroFilter {
+    constructor(params = {}) {
+        this.setParameters(Object.assign({ minCutoff: 1.5, beta: 5, derivativeCutoff: 1 }, params));
+        this.reset();
+    }
+
+    setParameters({ minCutoff, beta, derivativeCutoff }) {
+        if (minCutoff !== undefined) this.minCutoff = minCutoff;
+        if (beta !== undefined) this.beta = beta;
+        if (derivativeCutoff !== undefined) this.derivativeCutoff = derivativeCutoff;
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTime = null;
+    }
+
+    static alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTime = timestamp;
+            return value;
+        }
+
+        const dt = Math.max(1e-3, (timestamp - this.lastTime) / 1000);
+        this.lastTime = timestamp;
+
+        // Cutoff rises with speed: smooth when still, responsive when moving
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += OneEuroFilter.alpha(this.derivativeCutoff, dt) * (rawDerivative - this.derivative);
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+
+        this.value += OneEuroFilter.alpha(cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+}
+
+// Constant-velocity Kalman filter for a single value
+class KalmanFilter {
+    constructor(params = {}) {
+        this.setParameters(Object.assign({ processNoise: 0.05, measurementNoise: 2e-5 }, params));
+        this.reset();
     }
-}
\ No newline at end of file
+
+    setParameters({ processNoise, measurementNoise }) {
+        if (processNoise !== undefined) this.processNoise = processNoise;
+        if (measurementNoise !== undefined) this.measurementNoise = measurementNoise;
+    }
+
+    reset() {
+        this.value = null;
+        this.velocity = 0;
+        this.covariance = [[1, 0], [0, 1]];
+        this.lastTime = null;
+    }
+
+    filter(measurement, timestamp) {
+        if (this.value === null) {
+            this.value = measurement;
+            this.velocity = 0;
+            this.covariance = [[this.measurementNoise, 0], [0, 1]];
+            this.lastTime = timestamp;
+            return measurement;
+        }
+
+        const dt = Math.max(1e-3, (timestamp - this.lastTime) / 1000);
+        this.lastTime = timestamp;
+
+        // Predict
+        const [[p00, p01], [p10, p11]] = this.covariance;
+        const q = this.processNoise;
+        this.value += this.velocity * dt;
+        const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt * dt * dt / 3;
+        const a01 = p01 + dt * p11 + q * dt * dt / 2;
+        const a10 = p10 + dt * p11 + q * dt * dt / 2;
+        const a11 = p11 + q * dt;
+
+        // Update with the new measurement
+        const innovation = measurement - this.value;
+        const s = a00 + this.measurementNoise;
+        const k0 = a00 / s;
+        const k1 = a10 / s;
+        this.value += k0 * innovation;
+        this.velocity += k1 * innovation;
+        this.covariance = [
+            [(1 - k0) * a00, (1 - k0) * a01],
+            [a10 - k1 * a00, a11 - k1 * a01]
+        ];
+
+        return this.value;
+    }
+}
+
+// Smooths a face's pose with one scalar filter per component. New filter
+// types can be added with PoseFilter.register(name, FilterClass).
+class PoseFilter {
+    constructor(type = 'one-euro', params = {}) {
+        const FilterClass = PoseFilter.types[type];
+        if (!FilterClass) {
+            throw new Error(`Unknown pose filter: ${type}`);
+        }
+        this.type = type;
+        this.params = Object.assign({}, params);
+        this.createFilter = () => new FilterClass(this.params);
+        this.channels = {};
+        this.lastQuaternion = null;
+    }
+
+    static register(name, FilterClass) {
+        PoseFilter.types[name] = FilterClass;
+    }
+
+    setParameters(params) {
+        Object.assign(this.params, params);
+        Object.values(this.channels).forEach(channel => channel.setParameters(params));
+    }
+
+    // Call when the face is lost so reacquisition starts from fresh values
+    reset() {
+        Object.values(this.channels).forEach(channel => channel.reset());
+        this.lastQuaternion = null;
+    }
+
+    channel(name, value, timestamp) {
+        if (!this.channels[name]) {
+            this.channels[name] = this.createFilter();
+        }
+        return this.channels[name].filter(value, timestamp);
+    }
+
+    // Returns a copy of the face result with a smoothed headPose and iris
+    filter(face, timestamp = performance.now()) {
+        const pose = face.headPose;
+        if (!pose || !pose.quaternion) return face;
+
+        const filteredPose = Object.assign({}, pose);
+
+        if (pose.anchor) {
+            filteredPose.anchor = {
+                x: this.channel('anchorX', pose.anchor.x, timestamp),
+                y: this.channel('anchorY', pose.anchor.y, timestamp)
+            };
+        }
+
+        // Scales are filtered in log space so the parameters work in
+        // relative terms, like the other channels
+        if (pose.scale) {
+            filteredPose.scale = Math.exp(this.channel('poseScale', Math.log(pose.scale), timestamp));
+        }
+
+        // q and -q are the same rotation; keep to one hemisphere so the
+        // component filters never average across the flip
+        let { x, y, z, w } = pose.quaternion;
+        const last = this.lastQuaternion;
+        if (last && x * last.x + y * last.y + z * last.z + w * last.w < 0) {
+            x = -x; y = -y; z = -z; w = -w;
+        }
+        const qx = this.channel('qx', x, timestamp);
+        const qy = this.channel('qy', y, timestamp);
+        const qz = this.channel('qz', z, timestamp);
+        const qw = this.channel('qw', w, timestamp);
+        const length = Math.hypot(qx, qy, qz, qw) || 1;
+        filteredPose.quaternion = { x: qx / length, y: qy / length, z: qz / length, w: qw / length };
+        this.lastQuaternion = filteredPose.quaternion;
+
+        let filteredIris = face.iris;
+        if (face.iris && face.iris.imageHeightsPerMm) {
+            const imageHeightsPerMm = Math.exp(
+                this.channel('irisScale', Math.log(face.iris.imageHeightsPerMm), timestamp)
+            );
+            filteredIris = Object.assign({}, face.iris, {
+                imageHeightsPerMm: imageHeightsPerMm,
+                mmPerPixel: face.iris.mmPerPixel * face.iris.imageHeightsPerMm / imageHeightsPerMm,
+                distanceMm: face.iris.distanceMm * face.iris.imageHeightsPerMm / imageHeightsPerMm
+            });
+        }
+
+        return Object.assign({}, face, { headPose: filteredPose, iris: filteredIris });
+    }
+}
+
+PoseFilter.types = {
+    'one-euro': OneEuroFilter,
+    'kalman': KalmanFilter
+};
@@ -0,0 +1,136 @@
+// Frame catalogue shared by the shop pages and the try-on renderer.
+// All product data lives in catalogue.json; pages ask this module for it
+// instead of hardcoding names, prices and image paths.
+class FrameCatalogue {
+    constructor(data) {
+        if (!data || !Array.isArray(data.frames)) {
+            throw new Error('Catalogue data must have a frames array');
+        }
+        this.currency = data.currency || 'INR';
+        this.frames = data.frames.map(frame => FrameCatalogue.normalize(frame));
+        this.framesById = new Map(this.frames.map(frame => [frame.id, frame]));
+    }
+
+    // Loads and caches the catalogue, so every caller on a page shares one
+    // request
+    static load(url = FrameCatalogue.DEFAULT_URL) {
+        if (!FrameCatalogue.loading.has(url)) {
+            const request = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Catalogue request failed with status ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => new FrameCatalogue(data))
+                .catch(error => {
+                    // Let a later call try again
+                    FrameCatalogue.loading.delete(url);
+                    throw error;
+                });
+            FrameCatalogue.loading.set(url, request);
+        }
+        return FrameCatalogue.loading.get(url);
+    }
+
+    // Fill in optional fields so pages don't need to check for them
+    static normalize(frame) {
+        if (!frame.id || !frame.name) {
+            throw new Error('Every catalogue frame needs an id and a name');
+        }
+        return Object.assign({
+            title: frame.name,
+            originalPrice: null,
+            rating: null,
+            reviewCount: 0,
+            description: '',
+            colours: [],
+            sizes: [],
+            faceShapes: [],
+            tags: [],
+            images: [],
+            tryOn: 'procedural',
+            assets: {}
+        }, frame);
+    }
+
+    getAll() {
+        return this.frames.slice();
+    }
+
+    get(id) {
+        return this.framesById.get(id) || null;
+    }
+
+    has(id) {
+        return this.framesById.has(id);
+    }
+
+    filter(predicate) {
+        return this.frames.filter(predicate);
+    }
+
+    // type is 'gltf', 'png' or 'procedural'; defaults to the frame's tryOn
+    getAsset(id, type = null) {
+        const frame = this.get(id);
+        if (!frame) return null;
+
+        const assetType = type || frame.tryOn;
+        const asset = frame.assets[assetType];
+        return asset ? { type: assetType, source: asset } : null;
+    }
+
+    // Material slots for one of the frame's colours. The rim and temples take
+    // the colour in the frame's material; a colour can name its own material
+    // and override any slot (rim, temples, nosePads, or lenses with a tint).
+    getVariant(id, colourName) {
+        const frame = this.get(id);
+        const colour = frame && frame.colours.find(item => item.name === colourName);
+        if (!colour) return null;
+
+        const base = { hex: colour.hex, material: colour.material || frame.material || 'acetate' };
+        return {
+            name: colour.name,
+            slots: Object.assign({ rim: base, temples: base }, colour.slots)
+        };
+    }
+
+    getSize(id, label = null) {
+        const frame = this.get(id);
+        if (!frame || frame.sizes.length === 0) return null;
+
+        // Medium when it exists, otherwise the first listed size
+        return frame.sizes.find(size => size.label === label) ||
+            frame.sizes.find(size => size.label === 'Medium') ||
+            frame.sizes[0];
+    }
+
+    getThumbnail(id) {
+        const frame = this.get(id);
+        return frame && frame.images.length > 0 ? frame.images[0] : null;
+    }
+
+    getProductUrl(id) {
+        return `product.html?id=${encodeURIComponent(id)}`;
+    }
+
+    formatPrice(amount) {
+        return FrameCatalogue.formatPrice(amount, this.currency);
+    }
+
+    static formatPrice(amount, currency = 'INR') {
+        return new Intl.NumberFormat('en-IN', {
+            style: 'currency',
+            currency: currency,
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    // The frame id a product page was opened with, e.g. product.html?id=gold-aviator
+    static getRequestedId(search = window.location.search) {
+        return new URLSearchParams(search).get('id');
+    }
+}
+
+FrameCatalogue.DEFAULT_URL = 'catalogue.json';
+FrameCatalogue.loading = new Map(); // url -> Promise<FrameCatalogue>
@@ -0,0 +1,173 @@
+// Turntable view of a single frame for product pages. It uses the try-on's
+// GlassesRenderer, so models, fitting, colour variants and lens tints look
+// the same as on a face. The frame turns slowly until it is dragged.
+class FramePreview {
+    constructor(options = {}) {
+        this.catalogue = options.catalogue || null;
+        this.onError = options.onError || null;
+
+        this.container = null;
+        this.canvas = null;
+        this.renderer = null;
+        this.wearer = null;
+        this.frame = null;
+        this.variant = null;
+
+        // Turntable state, in radians
+        this.angle = 0;
+        this.tilt = FramePreview.TILT;
+        this.drag = null;
+        this.lastInteraction = 0;
+        this.frameRequest = null;
+        this.lastTick = 0;
+
+        this.resizeHandler = () => this.resize();
+    }
+
+    mount(container) {
+        this.container = container;
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'frame-preview-canvas';
+        container.appendChild(this.canvas);
+        this.setCanvasSize();
+
+        this.renderer = new GlassesRenderer();
+        this.renderer.init(this.canvas);
+        if (!this.renderer.isInitialized) {
+            this.reportError(new Error('3D preview is not supported in this browser'));
+            return this;
+        }
+        // There is no head to hide the temples behind
+        this.renderer.setOcclusionEnabled(false);
+        if (this.catalogue) this.renderer.setCatalogue(this.catalogue);
+        this.useStudioLighting();
+
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        window.addEventListener('resize', this.resizeHandler);
+
+        this.tick(performance.now());
+        return this;
+    }
+
+    // Reflections for metal and lenses when three's RoomEnvironment is loaded;
+    // there is no camera feed to build them from here
+    useStudioLighting() {
+        if (!THREE.RoomEnvironment) return;
+        const pmrem = new THREE.PMREMGenerator(this.renderer.renderer);
+        this.renderer.scene.environment = pmrem.fromScene(new THREE.RoomEnvironment(), 0.04).texture;
+        pmrem.dispose();
+    }
+
+    setCatalogue(catalogue) {
+        this.catalogue = catalogue;
+        if (this.renderer) this.renderer.setCatalogue(catalogue);
+    }
+
+    // frame is a catalogue id; variant one of its colour names
+    showFrame(frame, variant = null) {
+        this.frame = frame;
+        this.variant = variant;
+        if (!this.renderer || !this.renderer.isInitialized) return;
+
+        this.renderer.changeVariant(variant);
+        this.renderer.changeFrame(frame);
+        this.wearer = this.renderer.getWearer(FramePreview.WEARER_ID);
+    }
+
+    // Instant, as the model stays loaded
+    setVariant(variant) {
+        this.variant = variant;
+        if (this.renderer && this.renderer.isInitialized) {
+            this.renderer.changeVariant(variant);
+        }
+    }
+
+    setLensTint(tint) {
+        if (this.renderer && this.renderer.isInitialized) {
+            this.renderer.setLensTint(tint);
+        }
+    }
+
+    tick(now) {
+        this.frameRequest = requestAnimationFrame((time) => this.tick(time));
+        const elapsed = Math.min(100, now - this.lastTick);
+        this.lastTick = now;
+
+        // Carry on turning a little while after the last drag
+        if (!this.drag && now - this.lastInteraction > FramePreview.IDLE_MS) {
+            this.angle += FramePreview.TURN_SPEED * elapsed / 1000;
+        }
+        this.pose();
+    }
+
+    // Frames are modelled in millimetres around the bridge, so the preview
+    // just stands the model far enough in front of the camera to fit
+    pose() {
+        const model = this.wearer && this.wearer.model;
+        if (!model) return;
+
+        model.position.set(0, 0, -FramePreview.VIEW_DISTANCE_MM);
+        model.rotation.set(this.tilt, this.angle, 0);
+        if (model.userData.flat) {
+            // Flat artwork has no real size; show it at a typical frame width
+            model.scale.set(DEFAULT_FRAME_WIDTH_MM, DEFAULT_FRAME_WIDTH_MM, 1);
+        } else {
+            model.scale.setScalar(1);
+        }
+        model.visible = true;
+    }
+
+    onPointerDown(e) {
+        this.canvas.setPointerCapture(e.pointerId);
+        this.drag = { x: e.clientX, y: e.clientY, angle: this.angle, tilt: this.tilt };
+    }
+
+    onPointerMove(e) {
+        if (!this.drag) return;
+        const width = this.canvas.clientWidth || 1;
+        this.angle = this.drag.angle + (e.clientX - this.drag.x) / width * Math.PI * 2;
+        this.tilt = Math.max(-0.6, Math.min(0.6, this.drag.tilt + (e.clientY - this.drag.y) / width * Math.PI));
+    }
+
+    onPointerUp() {
+        this.drag = null;
+        this.lastInteraction = performance.now();
+    }
+
+    setCanvasSize() {
+        this.canvas.width = Math.max(1, this.container.clientWidth);
+        this.canvas.height = Math.max(1, this.container.clientHeight);
+    }
+
+    resize() {
+        this.setCanvasSize();
+        if (this.renderer && this.renderer.isInitialized) {
+            this.renderer.resize(this.canvas.width, this.canvas.height);
+        }
+    }
+
+    reportError(error) {
+        console.error('Frame preview failed:', error);
+        if (this.onError) this.onError(error);
+    }
+
+    destroy() {
+        cancelAnimationFrame(this.frameRequest);
+        window.removeEventListener('resize', this.resizeHandler);
+        if (this.renderer) this.renderer.dispose();
+        if (this.canvas) this.canvas.remove();
+        this.renderer = null;
+        this.wearer = null;
+    }
+}
+
+// The preview's one "face" in the renderer
+FramePreview.WEARER_ID = 'preview';
+// Far enough that a wide frame fills most of the view at the default field of view
+FramePreview.VIEW_DISTANCE_MM = 170;
+FramePreview.TILT = 0.12;
+FramePreview.TURN_SPEED = 0.5; // radians per second
+FramePreview.IDLE_MS = 2500;
@@ -3,20 +3,35 @@ class GlassesRenderer {
     this.scene = null;
     this.camera = null;
     this.renderer = null;
-    this.glassesModel = null;
-    this.currentFrame = 'classic';
+    this.currentFrame = 'classic'; // Frame given to newly detected faces
+    this.currentVariant = null; // Catalogue colour name, likewise
     this.scale = 1.0;
     this.width = 1.0;
     this.heightOffset = 0;
     this.isInitialized = false;
-    this.gltfLoader = null;
-    this.loadedModels = new Map();
+    this.animationId = null;
+    // Loads, fits and caches glTF/GLB and flat PNG frames
+    this.modelLoader = null;
     this.canvas = null;
     this.canvasWidth = 0;
     this.canvasHeight = 0;
 
-    // PNG support
-    this.pngImage = null;
+    // The scene is in millimetres, seen through a perspective camera that
+    // should match the webcam's horizontal field of view
+    this.horizontalFov = 60;
+
+    // One entry per tracked face: its frame, model and depth-only head
+    // occluder (which hides the parts of the frame behind the face)
+    this.wearers = new Map();
+    this.occlusionEnabled = true;
+
+    // Frame ids are looked up here when the page has loaded a FrameCatalogue
+    this.catalogue = null;
+
+    // LENS_TINTS key laid over every frame's lenses; null keeps each frame's own
+    this.lensTint = null;
+    // Reflections in lenses and metal, taken from the camera feed
+    this.environment = null;
   }
 
   init(canvas) {
@@ -28,14 +43,9 @@ class GlassesRenderer {
       // Scene setup
       this.scene = new THREE.Scene();
 
-      const aspect = canvas.width / canvas.height;
-      const frustumSize = 2;
-      this.camera = new THREE.OrthographicCamera(
-        -frustumSize * aspect / 2, frustumSize * aspect / 2,
-        frustumSize / 2, -frustumSize / 2,
-        0.1, 1000
-      );
-      this.camera.position.set(0, 0, 5);
+      // Camera sits at the origin looking down -z, like the webcam
+      this.camera = new THREE.PerspectiveCamera(50, canvas.width / canvas.height, 10, 5000);
+      this.updateCameraProjection();
 
       this.renderer = new THREE.WebGLRenderer({
         canvas: canvas,
@@ -45,10 +55,10 @@ class GlassesRenderer {
       this.renderer.setSize(canvas.width, canvas.height);
       this.renderer.setClearColor(0x000000, 0);
 
-      this.gltfLoader = new THREE.GLTFLoader();
+      this.modelLoader = new FrameModelLoader();
+      this.environment = new CameraEnvironment(this.renderer);
 
       this.setupLighting();
-      this.loadGlassesModel(this.currentFrame);
 
       this.isInitialized = true;
       this.animate();
@@ -65,125 +75,371 @@ class GlassesRenderer {
     this.scene.add(directionalLight);
   }
 
-  async loadGlassesModel(frameType) {
-    if (this.glassesModel) {
-      this.scene.remove(this.glassesModel);
-      this.glassesModel = null;
+  getWearer(faceId) {
+    let wearer = this.wearers.get(faceId);
+    if (!wearer) {
+      wearer = {
+        id: faceId,
+        frameType: null,
+        assetType: null,
+        model: null,
+        variant: this.currentVariant,
+        occluder: new FaceOccluder(),
+        loadToken: 0
+      };
+      this.scene.add(wearer.occluder.object);
+      this.wearers.set(faceId, wearer);
+      this.loadGlassesModel(this.currentFrame, wearer);
     }
+    return wearer;
+  }
 
-    this.currentFrame = frameType;
+  async loadGlassesModel(frameType, wearer) {
+    if (wearer.model) {
+      this.releaseModel(wearer.model);
+      wearer.model = null;
+    }
 
-    if (frameType === 'gltf' || frameType === 'realistic') {
-      await this.loadGLTFModel();
-    } else if (frameType === 'png') {
-      this.loadPNGGlasses();
+    wearer.frameType = frameType;
+    // A newer request for this face may finish first; drop stale results
+    const token = ++wearer.loadToken;
+
+    const asset = this.resolveFrame(frameType);
+    wearer.assetType = asset.type;
+
+    let model = null;
+    if (asset.type === 'gltf') {
+      model = await this.loadGLTFModel(asset.source);
+    } else if (asset.type === 'png') {
+      model = await this.loadPNGModel(asset.source);
     } else {
-      this.glassesModel = this.createGlassesGeometry(frameType);
-      this.scene.add(this.glassesModel);
+      model = this.createGlassesGeometry(asset.source);
+    }
+
+    if (!model) return;
+    if (token !== wearer.loadToken || this.wearers.get(wearer.id) !== wearer) {
+      this.releaseModel(model);
+      return;
     }
+    model.visible = false;
+    wearer.model = model;
+    this.applyVariant(wearer);
+    this.scene.add(model);
   }
 
-  loadPNGGlasses() {
-    this.pngImage = new Image();
-    this.pngImage.src = "a2ec560f-b602-41d6-baa5-0241e9f78513.png";
-    this.pngImage.onload = () => {
-      console.log("PNG glasses loaded");
-    };
+  // Cached models go back to the loader; one-off procedural ones are freed now
+  releaseModel(model) {
+    this.scene.remove(model);
+    LensMaterials.restore(model);
+    FrameVariants.restore(model);
+    this.modelLoader.release(model);
   }
 
-  async loadGLTFModel() {
-    return new Promise((resolve) => {
-      if (this.loadedModels.has("gltf")) {
-        this.glassesModel = this.loadedModels.get("gltf").clone();
-        this.scene.add(this.glassesModel);
-        resolve();
-        return;
-      }
-      this.gltfLoader.load("scene.gltf", (gltf) => {
-        const model = gltf.scene;
-        const box = new THREE.Box3().setFromObject(model);
-        const center = box.getCenter(new THREE.Vector3());
-        model.position.sub(center);
-        model.scale.set(0.15, 0.15, 0.15);
-        model.position.set(0, 0, 0);
-        this.loadedModels.set("gltf", model.clone());
-        this.glassesModel = model;
-        this.scene.add(this.glassesModel);
-        resolve();
-      }, undefined, () => {
-        this.glassesModel = this.createGlassesGeometry('classic');
-        this.scene.add(this.glassesModel);
-        resolve();
+  // Switches the lenses of every frame on screen, and of frames loaded later
+  setLensTint(tint) {
+    if (tint !== null && !LENS_TINTS[tint]) {
+      throw new Error(`Unknown lens tint: ${tint}`);
+    }
+    this.lensTint = tint;
+    this.wearers.forEach(wearer => this.applyLensTint(wearer));
+  }
+
+  // The picked tint wins over the one that comes with a colour variant
+  getLensTint(wearer) {
+    if (this.lensTint) return this.lensTint;
+    const variant = this.getVariant(wearer);
+    const lenses = variant && variant.slots.lenses;
+    return lenses && LENS_TINTS[lenses.tint] ? lenses.tint : null;
+  }
+
+  applyLensTint(wearer) {
+    const model = wearer.model;
+    if (!model) return;
+    LensMaterials.restore(model);
+    const tint = this.getLensTint(wearer);
+    // Flat artwork has its lenses painted in
+    if (tint && !model.userData.flat) {
+      LensMaterials.apply(model, LENS_TINTS[tint]);
+    }
+  }
+
+  // Recolours frames in place from a catalogue colour name, without
+  // reloading them. Without a face id it applies to everyone, like
+  // changeFrame; null puts back each model's own materials.
+  changeVariant(variant, faceId = null) {
+    if (faceId === null) {
+      this.currentVariant = variant;
+      this.wearers.forEach(wearer => {
+        wearer.variant = variant;
+        this.applyVariant(wearer);
       });
-    });
+    } else {
+      const wearer = this.getWearer(faceId);
+      wearer.variant = variant;
+      this.applyVariant(wearer);
+    }
   }
 
-  updateGlasses(landmarks, canvasWidth, canvasHeight) {
-    if (this.currentFrame === 'png' && this.pngImage) {
-      const ctx = this.canvas.getContext("2d");
-      ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+  // Colour names belong to a frame, so one the frame doesn't have is ignored
+  getVariant(wearer) {
+    if (!wearer.variant || !this.catalogue) return null;
+    return this.catalogue.getVariant(wearer.frameType, wearer.variant);
+  }
 
-      const leftEye = landmarks[33];
-      const rightEye = landmarks[263];
-      if (!leftEye || !rightEye) return;
+  applyVariant(wearer) {
+    const model = wearer.model;
+    if (!model) return;
+    FrameVariants.restore(model);
+    const variant = this.getVariant(wearer);
+    if (variant && !model.userData.flat) {
+      FrameVariants.apply(model, variant.slots);
+    }
+    this.applyLensTint(wearer);
+  }
 
-      const left = this.normalizedToWorld(leftEye, canvasWidth, canvasHeight);
-      const right = this.normalizedToWorld(rightEye, canvasWidth, canvasHeight);
+  // The video the lens reflections are built from
+  setEnvironmentSource(video) {
+    if (!this.environment) return;
+    this.environment.setSource(video);
+  }
 
-      const eyeDistance = Math.sqrt((right.x - left.x) ** 2 + (right.y - left.y) ** 2);
-      const glassesWidth = eyeDistance * 2.5 * this.scale;
-      const glassesHeight = (this.pngImage.height / this.pngImage.width) * glassesWidth;
+  setCatalogue(catalogue) {
+    this.catalogue = catalogue;
+  }
 
-      const centerX = (left.x + right.x) / 2 + canvasWidth / 2;
-      const centerY = (left.y + right.y) / 2 + canvasHeight / 2;
+  // Catalogue ids use the frame's tryOn asset; the older built-in names
+  // ('gltf', 'realistic', 'png' and the FRAME_STYLES keys) still work
+  resolveFrame(frameType) {
+    if (this.catalogue && this.catalogue.has(frameType)) {
+      const asset = this.catalogue.getAsset(frameType);
+      if (asset && asset.type !== 'procedural') {
+        return asset;
+      }
+      return { type: 'procedural', source: this.getFrameParams(frameType) };
+    }
 
-      ctx.drawImage(
-        this.pngImage,
-        centerX - glassesWidth / 2,
-        centerY - glassesHeight / 2,
-        glassesWidth,
-        glassesHeight
-      );
-      return;
+    if (frameType === 'gltf' || frameType === 'realistic') {
+      return { type: 'gltf', source: DEFAULT_GLTF_MODEL };
     }
+    if (frameType === 'png') {
+      return { type: 'png', source: DEFAULT_PNG_FRAME };
+    }
+    return { type: 'procedural', source: frameType };
+  }
+
+  // Builder parameters for a frame: its base style with the catalogue's
+  // measured size and colour overrides applied
+  getFrameParams(frameType, sizeLabel = null) {
+    const frame = this.catalogue && this.catalogue.get(frameType);
+    if (!frame) {
+      return FRAME_STYLES[frameType] || null;
+    }
+
+    const procedural = frame.assets.procedural || {};
+    const base = FRAME_STYLES[procedural.style] || FRAME_STYLES[frame.shape] || FRAME_STYLES.classic;
+    const params = Object.assign({}, base, procedural, { faceShapes: frame.faceShapes });
+    delete params.style;
+
+    const size = this.catalogue.getSize(frameType, sizeLabel);
+    if (size) {
+      ['lensWidth', 'lensHeight', 'bridgeWidth', 'templeLength'].forEach(key => {
+        if (size[key]) params[key] = size[key];
+      });
+    }
+    return params;
+  }
+
+  // Flat artwork is a quad one millimetre wide, centred on the bridge;
+  // updateGlasses sizes it from the eye span like the flat try-ons
+  async loadPNGModel(url = DEFAULT_PNG_FRAME) {
+    try {
+      return await this.modelLoader.loadFlat(url);
+    } catch (error) {
+      console.warn(`Could not load the frame artwork ${url}:`, error);
+      return this.createGlassesGeometry('classic');
+    }
+  }
+
+  // source is a model URL or { url, fitting } from the catalogue
+  async loadGLTFModel(source = DEFAULT_GLTF_MODEL) {
+    const url = typeof source === 'string' ? source : source.url;
+    try {
+      return await this.modelLoader.loadGLTF(url, source.fitting || null);
+    } catch (error) {
+      console.warn(`Could not load the frame model ${url}:`, error);
+      return this.createGlassesGeometry('classic');
+    }
+  }
 
-    if (!this.glassesModel || !landmarks) return;
+  updateGlasses(landmarks, canvasWidth, canvasHeight, headPose = null, iris = null, faceId = 0) {
+    const wearer = this.getWearer(faceId);
+    const model = wearer.model;
+    if (!model || !landmarks) return;
 
     const leftEye = landmarks[33];
     const rightEye = landmarks[263];
     if (!leftEye || !rightEye) return;
 
-    const leftEyeWorld = this.normalizedToWorld(leftEye, canvasWidth, canvasHeight);
-    const rightEyeWorld = this.normalizedToWorld(rightEye, canvasWidth, canvasHeight);
+    // Image heights per millimetre at the face: from the iris when the refined
+    // landmarks are there, otherwise from the canonical face fit
+    const unitsPerMm = (iris && iris.imageHeightsPerMm) || (headPose && headPose.scale);
+    if (!unitsPerMm) return;
+
+    // Anchor on the nose bridge, which is where the frame model is centred
+    const bridge = (headPose && headPose.anchor) ||
+      landmarks[168] || LandmarkUtils.midpoint(leftEye, rightEye);
+    model.position.copy(
+      this.imageToWorld(bridge, unitsPerMm, canvasWidth, canvasHeight)
+    );
+
+    // Flat artwork keeps facing the camera and only follows the head's roll
+    const flat = model.userData.flat;
+    if (headPose && headPose.quaternion && !flat) {
+      const { x, y, z, w } = headPose.quaternion;
+      model.quaternion.set(x, y, z, w);
+    } else {
+      const aspect = canvasWidth / canvasHeight;
+      const angle = Math.atan2(leftEye.y - rightEye.y, (rightEye.x - leftEye.x) * aspect);
+      model.rotation.set(0, 0, angle);
+    }
+
+    // Frames are modelled in millimetres, so only the user's adjustments remain.
+    // The width slider stretches flat artwork sideways only.
+    const finalScale = this.scale * this.width;
+    if (flat) {
+      // Same width as the flat try-ons (tryon-engine.js), in millimetres
+      const aspect = canvasWidth / canvasHeight;
+      const eyeSpan = Math.hypot((rightEye.x - leftEye.x) * aspect, rightEye.y - leftEye.y);
+      const frameWidth = eyeSpan / unitsPerMm * TryOnEngine.EYE_SPAN_TO_FRAME;
+      model.scale.set(finalScale * frameWidth, this.scale * frameWidth, 1);
+      // Nothing of a flat frame sits behind the head
+      wearer.occluder.object.visible = false;
+    } else {
+      model.scale.set(finalScale, finalScale, finalScale);
+      this.updateOccluder(wearer, landmarks, unitsPerMm, canvasWidth, canvasHeight);
+    }
+
+    // Height slider moves the frame along the face's own vertical axis
+    model.translateY(this.heightOffset * HEIGHT_OFFSET_STEP_MM);
+
+    model.visible = true;
+  }
+
+  updateOccluder(wearer, landmarks, unitsPerMm, canvasWidth, canvasHeight) {
+    if (!this.occlusionEnabled) {
+      wearer.occluder.object.visible = false;
+      return;
+    }
+
+    // Fit the head width to the measured cheek-to-cheek span
+    let widthScale = 1;
+    if (landmarks[234] && landmarks[454]) {
+      const aspect = canvasWidth / canvasHeight;
+      const left = landmarks[234];
+      const right = landmarks[454];
+      const cheekSpan = Math.hypot(
+        (right.x - left.x) * aspect,
+        right.y - left.y,
+        ((right.z || 0) - (left.z || 0)) * aspect
+      );
+      widthScale = (cheekSpan / unitsPerMm) / FaceOccluder.CHEEK_SPAN_MM;
+    }
+
+    wearer.occluder.update(
+      wearer.model.position,
+      wearer.model.quaternion,
+      widthScale
+    );
+  }
 
-    const centerX = (leftEyeWorld.x + rightEyeWorld.x) / 2;
-    const centerY = (leftEyeWorld.y + rightEyeWorld.y) / 2 + (this.heightOffset * 0.001);
+  setOcclusionEnabled(enabled) {
+    this.occlusionEnabled = enabled;
+    if (!enabled) {
+      this.wearers.forEach(wearer => {
+        wearer.occluder.object.visible = false;
+      });
+    }
+  }
 
-    const eyeDistance = Math.abs(rightEyeWorld.x - leftEyeWorld.x);
-    const baseScale = eyeDistance * 0.8;
-    const finalScale = baseScale * this.scale * this.width;
+  // Hides faces missing from this frame and drops the ones no longer tracked
+  syncWearers(visibleIds, trackedIds = visibleIds) {
+    this.wearers.forEach((wearer, id) => {
+      if (!trackedIds.includes(id)) {
+        this.removeWearer(id);
+      } else if (!visibleIds.includes(id)) {
+        if (wearer.model) wearer.model.visible = false;
+        wearer.occluder.object.visible = false;
+      }
+    });
+  }
 
-    const angle = Math.atan2(rightEyeWorld.y - leftEyeWorld.y, rightEyeWorld.x - leftEyeWorld.x);
+  removeWearer(faceId) {
+    const wearer = this.wearers.get(faceId);
+    if (!wearer) return;
+    // Loads still in flight release their model when they land
+    wearer.loadToken++;
+    if (wearer.model) this.releaseModel(wearer.model);
+    this.scene.remove(wearer.occluder.object);
+    wearer.occluder.dispose();
+    this.wearers.delete(faceId);
+  }
 
-    this.glassesModel.position.set(centerX, centerY, 0);
-    this.glassesModel.rotation.z = angle;
-    this.glassesModel.scale.set(finalScale, finalScale, finalScale);
+  getFrame(faceId) {
+    const wearer = this.wearers.get(faceId);
+    return wearer ? wearer.frameType : this.currentFrame;
+  }
 
-    this.glassesModel.visible = true;
+  // Places a normalised image point at the depth implied by the metric scale.
+  // At distance Z an object of W mm spans W * focal / Z image heights, so with
+  // Z = focal / unitsPerMm it spans exactly W * unitsPerMm, as measured.
+  imageToWorld(landmark, unitsPerMm, canvasWidth, canvasHeight) {
+    const aspect = canvasWidth / canvasHeight;
+    const focal = this.getFocalLength(canvasWidth, canvasHeight);
+    return new THREE.Vector3(
+      (landmark.x - 0.5) * aspect / unitsPerMm,
+      -(landmark.y - 0.5) / unitsPerMm,
+      -focal / unitsPerMm
+    );
   }
 
-  normalizedToWorld(landmark, canvasWidth, canvasHeight) {
+  // Focal length in image heights for the configured horizontal field of view
+  getFocalLength(canvasWidth, canvasHeight) {
     const aspect = canvasWidth / canvasHeight;
-    const frustumSize = 2;
-    return {
-      x: (landmark.x - 0.5) * frustumSize * aspect,
-      y: -(landmark.y - 0.5) * frustumSize,
-      z: landmark.z || 0
-    };
+    return (aspect / 2) / Math.tan(THREE.MathUtils.degToRad(this.horizontalFov) / 2);
+  }
+
+  setFieldOfView(horizontalFov) {
+    this.horizontalFov = horizontalFov;
+    this.updateCameraProjection();
+  }
+
+  updateCameraProjection() {
+    if (!this.camera || !this.canvasWidth || !this.canvasHeight) return;
+    const focal = this.getFocalLength(this.canvasWidth, this.canvasHeight);
+    this.camera.aspect = this.canvasWidth / this.canvasHeight;
+    this.camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(0.5 / focal));
+    this.camera.updateProjectionMatrix();
   }
 
-  changeFrame(frameType) {
-    this.loadGlassesModel(frameType);
+  createGlassesGeometry(frameType) {
+    // Accepts a style name from FRAME_STYLES or a full parameter object
+    const params = (frameType && typeof frameType === 'object')
+      ? frameType
+      : FRAME_STYLES[frameType] || FRAME_STYLES.classic;
+
+    const model = ParametricFrameBuilder.build(params);
+    model.name = 'glasses-' + (params.lensShape || 'classic');
+    return model;
+  }
+
+  // Without a face id the frame becomes the default and applies to everyone
+  changeFrame(frameType, faceId = null) {
+    if (faceId === null) {
+      this.currentFrame = frameType;
+      this.wearers.forEach(wearer => this.loadGlassesModel(frameType, wearer));
+    } else {
+      this.loadGlassesModel(frameType, this.getWearer(faceId));
+    }
   }
 
   updateScale(scale) { this.scale = scale; }
@@ -194,21 +450,945 @@ class GlassesRenderer {
     this.canvasWidth = width;
     this.canvasHeight = height;
     if (this.camera && this.renderer) {
-      const aspect = width / height;
-      const frustumSize = 2;
-      this.camera.left = -frustumSize * aspect / 2;
-      this.camera.right = frustumSize * aspect / 2;
-      this.camera.top = frustumSize / 2;
-      this.camera.bottom = -frustumSize / 2;
-      this.camera.updateProjectionMatrix();
+      this.updateCameraProjection();
       this.renderer.setSize(width, height);
     }
   }
 
   animate() {
-    requestAnimationFrame(() => this.animate());
+    this.animationId = requestAnimationFrame(() => this.animate());
+    this.render();
+  }
+
+  // Also called right before reading the canvas back, since the WebGL
+  // buffer is cleared once a frame has been shown
+  render() {
     if (this.renderer && this.scene && this.camera) {
+      if (this.environment && this.environment.update(performance.now())) {
+        this.scene.environment = this.environment.texture;
+      }
+      this.wearers.forEach(wearer => {
+        const tint = this.getLensTint(wearer);
+        if (wearer.model && tint && LENS_TINTS[tint].photochromic) {
+          LensMaterials.updatePhotochromic(wearer.model, performance.now());
+        }
+      });
       this.renderer.render(this.scene, this.camera);
     }
   }
+
+  // Renders one frame at another resolution of the same shape, such as a
+  // capture at the camera's native size, and hands the canvas to draw before
+  // going back to the display size
+  renderAt(width, height, draw) {
+    if (!this.renderer) return;
+    this.renderer.setSize(width, height, false);
+    try {
+      this.render();
+      draw(this.canvas);
+    } finally {
+      this.renderer.setSize(this.canvasWidth, this.canvasHeight, false);
+    }
+  }
+
+  dispose() {
+    cancelAnimationFrame(this.animationId);
+    Array.from(this.wearers.keys()).forEach(id => this.removeWearer(id));
+    if (this.modelLoader) this.modelLoader.clear();
+    if (this.environment) this.environment.dispose();
+    if (this.renderer) this.renderer.dispose();
+    this.isInitialized = false;
+  }
+}
+
+// Invisible head that only writes depth. It is drawn before the glasses, so
+// anything behind it (the far temple, the arms behind the ears) fails the depth
+// test and the video shows through instead.
+class FaceOccluder {
+  constructor() {
+    const material = new THREE.MeshBasicMaterial({ colorWrite: false });
+    this.head = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 24), material);
+    this.head.name = 'face-occluder';
+    this.head.renderOrder = -1;
+
+    // Ellipsoid in millimetres relative to the nose bridge. The front sits just
+    // behind the lens plane so it never hides the bridge or the rims.
+    this.head.position.set(0, 15, -108);
+    this.head.scale.set(78, 105, 100);
+
+    this.object = new THREE.Group();
+    this.object.add(this.head);
+    this.object.visible = false;
+  }
+
+  update(position, quaternion, widthScale = 1) {
+    const width = Math.min(1.2, Math.max(0.85, widthScale));
+    this.object.position.copy(position);
+    this.object.quaternion.copy(quaternion);
+    this.object.scale.set(width, 1, 1);
+    this.object.visible = true;
+  }
+
+  dispose() {
+    this.head.geometry.dispose();
+    this.head.material.dispose();
+  }
+}
+
+// Cheek-to-cheek span (landmarks 234 and 454) of the head the occluder is sized for
+FaceOccluder.CHEEK_SPAN_MM = 144;
+
+// Loads frame models by URL and fits them to the renderer's conventions:
+// millimetres, bridge anchor at the origin, +y up and the front facing +z
+// (towards the camera). Each model's fitting manifest describes how, so
+// vendor models need no code changes:
+//
+//   {
+//     "bridge": [0, 0.35, 0],  // where the frame rests on the nose, in model units
+//     "lensPlaneOffset": 2,     // mm to move the frame forward off the nose
+//     "widthMm": 145,           // real overall width of the front
+//     "forward": "-z",          // model axis the lenses face
+//     "up": "+y",
+//     "slots": {                // mesh or material names per material slot,
+//       "rim": ["Frame"],       // for colour variants and lens tints
+//       "temples": ["Arms"],
+//       "nosePads": ["Pads"],
+//       "lenses": ["Glass"]
+//     }
+//   }
+//
+// Without a manifest the model is centred on its bounding box and scaled to
+// DEFAULT_FRAME_WIDTH_MM. The manifest may also be given as a URL to a JSON
+// file. Fitted models are kept in an LRU cache; each load hands out a clone
+// that shares the cached geometry and textures, and is given back with
+// release(). Evicted models have their GPU resources disposed.
+class FrameModelLoader {
+  constructor(options = {}) {
+    this.maxModels = options.maxModels || FrameModelLoader.MAX_MODELS;
+    this.dracoDecoderPath = options.dracoDecoderPath || FrameModelLoader.DRACO_DECODER_PATH;
+    this.gltfLoader = null;
+    this.textureLoader = null;
+
+    // Insertion order is recency: the first entry is the least recently used
+    this.cache = new Map();
+  }
+
+  loadGLTF(url, fitting = null) {
+    const key = fitting && typeof fitting === 'object'
+      ? `${url}#${JSON.stringify(fitting)}`
+      : `${url}#${fitting || ''}`;
+    return this.use(key, async () => {
+      const [gltf, manifest] = await Promise.all([
+        new Promise((resolve, reject) => this.getGLTFLoader().load(url, resolve, undefined, reject)),
+        FrameModelLoader.loadFitting(fitting)
+      ]);
+      return FrameModelLoader.applyFitting(gltf.scene, manifest);
+    });
+  }
+
+  loadFlat(url) {
+    return this.use(`flat:${url}`, async () => {
+      if (!this.textureLoader) this.textureLoader = new THREE.TextureLoader();
+      const texture = await new Promise((resolve, reject) => this.textureLoader.load(url, resolve, undefined, reject));
+      texture.encoding = THREE.sRGBEncoding;
+      const aspect = texture.image.height / texture.image.width;
+
+      const material = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      });
+      const quad = new THREE.Mesh(new THREE.PlaneGeometry(1, aspect), material);
+      quad.name = 'flat-frame';
+
+      const model = new THREE.Group();
+      model.add(quad);
+      model.userData.flat = true;
+      return model;
+    });
+  }
+
+  // Draco and meshopt decoding are enabled when their scripts are on the page
+  getGLTFLoader() {
+    if (!this.gltfLoader) {
+      this.gltfLoader = new THREE.GLTFLoader();
+      if (THREE.DRACOLoader) {
+        const dracoLoader = new THREE.DRACOLoader();
+        dracoLoader.setDecoderPath(this.dracoDecoderPath);
+        this.gltfLoader.setDRACOLoader(dracoLoader);
+      }
+      if (typeof MeshoptDecoder !== 'undefined') {
+        this.gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+      }
+    }
+    return this.gltfLoader;
+  }
+
+  // A clone of the cached model, building it on first use
+  async use(key, build) {
+    let entry = this.cache.get(key);
+    if (entry) {
+      this.cache.delete(key);
+    } else {
+      entry = { model: build(), users: 0 };
+    }
+    this.cache.set(key, entry);
+    entry.users++;
+
+    let model;
+    try {
+      model = await entry.model;
+    } catch (error) {
+      // Let a later request try again
+      if (this.cache.get(key) === entry) this.cache.delete(key);
+      throw error;
+    }
+
+    const clone = model.clone();
+    clone.userData.cacheKey = key;
+    this.evict();
+    return clone;
+  }
+
+  release(model) {
+    const entry = this.cache.get(model.userData.cacheKey);
+    if (!entry) {
+      // Not from the cache (or already evicted by clear()), so nothing shares it
+      if (!model.userData.cacheKey) FrameModelLoader.dispose(model);
+      return;
+    }
+    entry.users = Math.max(0, entry.users - 1);
+    this.evict();
+  }
+
+  // Drops least recently used models nobody is showing until the cache fits
+  evict() {
+    for (const [key, entry] of this.cache) {
+      if (this.cache.size <= this.maxModels) break;
+      if (entry.users > 0) continue;
+      this.cache.delete(key);
+      entry.model.then(FrameModelLoader.dispose, () => {});
+    }
+  }
+
+  clear() {
+    this.cache.forEach(entry => entry.model.then(FrameModelLoader.dispose, () => {}));
+    this.cache.clear();
+    if (this.gltfLoader && this.gltfLoader.dracoLoader) {
+      this.gltfLoader.dracoLoader.dispose();
+    }
+  }
+
+  static async loadFitting(fitting) {
+    if (typeof fitting !== 'string') return fitting || {};
+    const response = await fetch(fitting);
+    if (!response.ok) {
+      throw new Error(`Fitting manifest request failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Wraps the model so the outer group can be posed freely by updateGlasses
+  static applyFitting(scene, fitting = {}) {
+    const slots = fitting.slots || {};
+    scene.traverse(object => {
+      const names = [object.name, object.material && object.material.name];
+      Object.keys(slots).forEach(slot => {
+        if (names.some(name => slots[slot].includes(name))) {
+          object.userData.slot = slot;
+        }
+      });
+    });
+
+    const fitted = new THREE.Group();
+    fitted.add(scene);
+    fitted.quaternion.copy(FrameModelLoader.getOrientation(fitting.forward, fitting.up));
+    fitted.updateMatrixWorld(true);
+
+    // Measured after turning, so the width is across the face
+    const box = new THREE.Box3().setFromObject(fitted);
+    const size = box.getSize(new THREE.Vector3());
+    const mmPerUnit = (fitting.widthMm || DEFAULT_FRAME_WIDTH_MM) / (size.x || 1);
+
+    const anchor = Array.isArray(fitting.bridge)
+      ? new THREE.Vector3().fromArray(fitting.bridge).applyQuaternion(fitted.quaternion)
+      : box.getCenter(new THREE.Vector3());
+    fitted.scale.setScalar(mmPerUnit);
+    fitted.position.copy(anchor).multiplyScalar(-mmPerUnit);
+    fitted.position.z += fitting.lensPlaneOffset || 0;
+
+    const model = new THREE.Group();
+    model.add(fitted);
+    return model;
+  }
+
+  // Rotation taking the model's forward and up axes to +z and +y
+  static getOrientation(forward = '+z', up = '+y') {
+    const f = FrameModelLoader.parseAxis(forward);
+    const u = FrameModelLoader.parseAxis(up);
+    if (Math.abs(f.dot(u)) > 0.5) {
+      throw new Error(`Fitting axes must differ: forward ${forward}, up ${up}`);
+    }
+    const basis = new THREE.Matrix4().makeBasis(new THREE.Vector3().crossVectors(u, f), u, f);
+    return new THREE.Quaternion().setFromRotationMatrix(basis).invert();
+  }
+
+  static parseAxis(axis) {
+    const match = /^([+-]?)([xyz])$/.exec(String(axis).trim().toLowerCase());
+    if (!match) {
+      throw new Error(`Unknown fitting axis: ${axis}`);
+    }
+    const vector = new THREE.Vector3();
+    vector[match[2]] = match[1] === '-' ? -1 : 1;
+    return vector;
+  }
+
+  // Frees the GPU copies of every geometry, material and texture in the model
+  static dispose(model) {
+    model.traverse(object => {
+      if (object.geometry) object.geometry.dispose();
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach(material => {
+        if (!material) return;
+        Object.keys(material).forEach(key => {
+          if (material[key] && material[key].isTexture) material[key].dispose();
+        });
+        material.dispose();
+      });
+    });
+  }
+}
+
+// Fitted models kept in memory. Models still on screen are never evicted.
+FrameModelLoader.MAX_MODELS = 6;
+
+// Self-hosted Draco decoder (draco_decoder.js/.wasm from three's examples)
+FrameModelLoader.DRACO_DECODER_PATH = 'vendor/draco/';
+
+// Lens materials for the LENS_TINTS presets. Each lens mesh gets its own
+// material; the frame's original one is remembered and put back by
+// restore(), so cached models are never changed.
+//
+// The camera image is behind the canvas rather than in the scene, so light
+// passing through a lens is modelled with alpha: opacity is 1 - transmission.
+class LensMaterials {
+  static apply(model, tint) {
+    LensMaterials.findLenses(model).forEach(lens => {
+      LensMaterials.originals.set(lens, lens.material);
+      lens.material = LensMaterials.create(tint, lens);
+    });
+  }
+
+  static restore(model) {
+    model.traverse(object => {
+      if (!LensMaterials.originals.has(object)) return;
+      const material = object.material;
+      if (material.alphaMap) material.alphaMap.dispose();
+      material.dispose();
+      object.material = LensMaterials.originals.get(object);
+      LensMaterials.originals.delete(object);
+    });
+  }
+
+  static findLenses(model) {
+    const lenses = [];
+    model.traverse(object => {
+      if (object.isMesh && FrameVariants.getSlot(object) === 'lenses') {
+        lenses.push(object);
+      }
+    });
+    return lenses;
+  }
+
+  static create(tint, mesh) {
+    const material = new THREE.MeshPhysicalMaterial({
+      color: tint.color,
+      metalness: tint.metalness || 0,
+      roughness: tint.roughness !== undefined ? tint.roughness : 0.05,
+      clearcoat: tint.clearcoat !== undefined ? tint.clearcoat : 1,
+      clearcoatRoughness: 0.05,
+      envMapIntensity: tint.reflection,
+      transparent: true,
+      opacity: 1 - tint.transmission,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    material.name = 'lens-tint';
+    if (tint.gradient) {
+      material.alphaMap = LensMaterials.createGradientMap(mesh, tint.gradient);
+    }
+    return material;
+  }
+
+  // Dark at the top of the lens fading to gradient.bottom of the tint at
+  // the bottom, fitted to the lens's own UV range
+  static createGradientMap(mesh, gradient) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    const fill = ctx.createLinearGradient(0, 0, 0, canvas.height);
+    const bottom = Math.round(255 * gradient.bottom);
+    fill.addColorStop(0, '#ffffff');
+    fill.addColorStop(gradient.fadeStart, '#ffffff');
+    fill.addColorStop(1, `rgb(${bottom}, ${bottom}, ${bottom})`);
+    ctx.fillStyle = fill;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const uv = mesh.geometry.attributes.uv;
+    if (uv) {
+      // Procedural lenses use millimetre UVs, so map their range onto 0-1
+      let minV = Infinity;
+      let maxV = -Infinity;
+      for (let i = 0; i < uv.count; i++) {
+        minV = Math.min(minV, uv.getY(i));
+        maxV = Math.max(maxV, uv.getY(i));
+      }
+      const span = maxV - minV || 1;
+      texture.repeat.set(1, 1 / span);
+      texture.offset.set(0, -minV / span);
+    }
+    return texture;
+  }
+
+  // Photochromic previews darken and clear again on a loop, as if stepping
+  // in and out of sunlight
+  static updatePhotochromic(model, now) {
+    const cycle = LensMaterials.PHOTOCHROMIC_CYCLE_MS;
+    const level = (1 - Math.cos(2 * Math.PI * (now % cycle) / cycle)) / 2;
+    const tint = LENS_TINTS.photochromic;
+    const transmission = tint.transmission + (tint.photochromic.transmission - tint.transmission) * level;
+    const color = new THREE.Color(tint.color).lerp(new THREE.Color(tint.photochromic.color), level);
+    model.traverse(object => {
+      if (!LensMaterials.originals.has(object)) return;
+      object.material.opacity = 1 - transmission;
+      object.material.color.copy(color);
+    });
+  }
+}
+
+// Lens mesh -> the material it had before a tint was applied
+LensMaterials.originals = new WeakMap();
+LensMaterials.PHOTOCHROMIC_CYCLE_MS = 6000;
+
+// Colour variants: frame meshes are sorted into material slots (rim,
+// temples, nosePads, lenses) and each slot can take a colour in one of the
+// FRAME_MATERIALS presets. Like LensMaterials, the original materials are
+// remembered and put back by restore(). Lenses are left to LensMaterials.
+class FrameVariants {
+  static apply(model, slots) {
+    const materials = new Map(); // slot -> material shared by its meshes
+    model.traverse(object => {
+      if (!object.isMesh) return;
+      const slot = FrameVariants.getSlot(object);
+      const spec = slots[slot];
+      if (slot === 'lenses' || !spec || !spec.hex) return;
+
+      if (!materials.has(slot)) {
+        materials.set(slot, FrameVariants.createMaterial(spec));
+      }
+      FrameVariants.originals.set(object, object.material);
+      object.material = materials.get(slot);
+    });
+  }
+
+  static restore(model) {
+    model.traverse(object => {
+      if (!FrameVariants.originals.has(object)) return;
+      object.material.dispose();
+      object.material = FrameVariants.originals.get(object);
+      FrameVariants.originals.delete(object);
+    });
+  }
+
+  // From the fitting manifest, the procedural builder's part tags, or else
+  // the mesh and material names; anything unrecognised is part of the rim
+  static getSlot(mesh) {
+    if (mesh.userData.slot) return mesh.userData.slot;
+    if (FrameVariants.PART_SLOTS[mesh.userData.part]) {
+      return FrameVariants.PART_SLOTS[mesh.userData.part];
+    }
+    const names = `${mesh.name} ${mesh.material && mesh.material.name}`;
+    const match = FrameVariants.SLOT_NAMES.find(([, pattern]) => pattern.test(names));
+    return match ? match[0] : 'rim';
+  }
+
+  static createMaterial({ hex, material }) {
+    const preset = FRAME_MATERIALS[material] || FRAME_MATERIALS.acetate;
+    const result = new THREE.MeshPhysicalMaterial(Object.assign({}, preset, {
+      color: new THREE.Color(hex),
+      transparent: preset.opacity < 1
+    }));
+    result.name = `variant-${material}`;
+    return result;
+  }
+}
+
+// Mesh -> the material it had before a variant was applied
+FrameVariants.originals = new WeakMap();
+FrameVariants.PART_SLOTS = { rim: 'rim', bridge: 'rim', temple: 'temples', 'nose-pad': 'nosePads', lens: 'lenses' };
+FrameVariants.SLOT_NAMES = [
+  ['lenses', /lens|glass(?!es)/i],
+  ['nosePads', /nose|pad/i],
+  ['temples', /temple|arm/i]
+];
+
+// Reflection map made from the live video. The camera sees roughly what a
+// wearer's lenses would reflect. Prefiltering is too slow for every frame,
+// so the map is rebuilt a few times a second.
+class CameraEnvironment {
+  constructor(renderer) {
+    this.pmrem = new THREE.PMREMGenerator(renderer);
+    this.video = null;
+    this.videoTexture = null;
+    this.target = null;
+    this.lastUpdate = 0;
+  }
+
+  get texture() {
+    return this.target ? this.target.texture : null;
+  }
+
+  setSource(video) {
+    if (this.videoTexture) this.videoTexture.dispose();
+    this.video = video;
+    this.videoTexture = new THREE.VideoTexture(video);
+    this.videoTexture.mapping = THREE.EquirectangularReflectionMapping;
+    this.videoTexture.encoding = THREE.sRGBEncoding;
+  }
+
+  // True when the map was rebuilt
+  update(now) {
+    const video = this.video;
+    if (!video || video.readyState < 2 || !video.videoWidth) return false;
+    if (now - this.lastUpdate < CameraEnvironment.UPDATE_INTERVAL_MS) return false;
+    this.lastUpdate = now;
+
+    const target = this.pmrem.fromEquirectangular(this.videoTexture);
+    if (this.target) this.target.dispose();
+    this.target = target;
+    return true;
+  }
+
+  dispose() {
+    if (this.target) this.target.dispose();
+    if (this.videoTexture) this.videoTexture.dispose();
+    this.pmrem.dispose();
+  }
+}
+
+CameraEnvironment.UPDATE_INTERVAL_MS = 500;
+
+// Overall width glTF frames are scaled to when the model gives no real size
+const DEFAULT_FRAME_WIDTH_MM = 140;
+
+// Assets behind the built-in 'gltf'/'realistic' and 'png' frame names
+const DEFAULT_GLTF_MODEL = 'scene.gltf';
+const DEFAULT_PNG_FRAME = 'a2ec560f-b602-41d6-baa5-0241e9f78513.png';
+
+// One step of the height slider, kept close to the old world-unit offset
+const HEIGHT_OFFSET_STEP_MM = 0.3;
+
+// Frame material presets for colour variants, as MeshPhysicalMaterial settings
+const FRAME_MATERIALS = {
+  acetate: { metalness: 0, roughness: 0.3, clearcoat: 0.8, clearcoatRoughness: 0.1, opacity: 1 },
+  'matte-acetate': { metalness: 0, roughness: 0.75, clearcoat: 0, opacity: 1 },
+  'clear-acetate': { metalness: 0, roughness: 0.1, clearcoat: 1, clearcoatRoughness: 0.05, opacity: 0.55 },
+  metal: { metalness: 0.9, roughness: 0.25, clearcoat: 0, opacity: 1 },
+  titanium: { metalness: 0.8, roughness: 0.45, clearcoat: 0, opacity: 1 },
+  silicone: { metalness: 0, roughness: 0.6, clearcoat: 0, opacity: 0.7 }
+};
+
+// Lens presets for LensMaterials, shown in the try-on's tint picker.
+// transmission is the share of light let through, reflection scales the
+// camera environment map. Gradients fade from the tint at the top to
+// gradient.bottom of it at the bottom; photochromic lenses move towards
+// their photochromic values in sunlight.
+const LENS_TINTS = {
+  clear: {
+    label: 'Clear',
+    color: 0xffffff,
+    transmission: 0.94,
+    reflection: 0.5
+  },
+  'anti-reflective': {
+    label: 'Anti-reflective',
+    color: 0xf4fff8,
+    transmission: 0.97,
+    reflection: 0.04,
+    clearcoat: 0
+  },
+  grey: {
+    label: 'Grey',
+    color: 0x2e3133,
+    transmission: 0.25,
+    reflection: 0.4
+  },
+  brown: {
+    label: 'Brown',
+    color: 0x5a3a22,
+    transmission: 0.3,
+    reflection: 0.4
+  },
+  green: {
+    label: 'G-15 green',
+    color: 0x3a4a3a,
+    transmission: 0.3,
+    reflection: 0.4
+  },
+  'gradient-grey': {
+    label: 'Grey gradient',
+    color: 0x2e3133,
+    transmission: 0.2,
+    reflection: 0.4,
+    gradient: { fadeStart: 0.2, bottom: 0.15 }
+  },
+  'gradient-brown': {
+    label: 'Brown gradient',
+    color: 0x5a3a22,
+    transmission: 0.25,
+    reflection: 0.4,
+    gradient: { fadeStart: 0.2, bottom: 0.15 }
+  },
+  'mirror-blue': {
+    label: 'Blue mirror',
+    color: 0x3f7fd8,
+    metalness: 1,
+    roughness: 0.08,
+    transmission: 0.2,
+    reflection: 1.5
+  },
+  'mirror-silver': {
+    label: 'Silver mirror',
+    color: 0xd8dde3,
+    metalness: 1,
+    roughness: 0.05,
+    transmission: 0.2,
+    reflection: 1.5
+  },
+  'mirror-gold': {
+    label: 'Gold mirror',
+    color: 0xd9a441,
+    metalness: 1,
+    roughness: 0.08,
+    transmission: 0.2,
+    reflection: 1.5
+  },
+  polarised: {
+    label: 'Polarised grey',
+    color: 0x272b2a,
+    transmission: 0.18,
+    // Polarising film cuts the glare off the lens front
+    reflection: 0.08,
+    clearcoat: 0
+  },
+  photochromic: {
+    label: 'Photochromic',
+    color: 0xffffff,
+    transmission: 0.92,
+    reflection: 0.3,
+    photochromic: { color: 0x3b3f42, transmission: 0.2 }
+  }
+};
+
+// Built-in frame styles. All sizes are in millimetres.
+const FRAME_STYLES = {
+  classic: {
+    lensShape: 'rectangle',
+    lensWidth: 52,
+    lensHeight: 38,
+    rimThickness: 3.5,
+    bridgeWidth: 18,
+    templeLength: 140,
+    frameColor: 0x1a1a1a,
+    frameOpacity: 1,
+    lensColor: 0xffffff,
+    lensOpacity: 0.15
+  },
+  round: {
+    lensShape: 'round',
+    lensWidth: 48,
+    lensHeight: 46,
+    rimThickness: 2.5,
+    bridgeWidth: 20,
+    templeLength: 145,
+    frameColor: 0x8b5a2b,
+    frameOpacity: 1,
+    lensColor: 0xffffff,
+    lensOpacity: 0.15
+  },
+  square: {
+    lensShape: 'square',
+    lensWidth: 50,
+    lensHeight: 44,
+    rimThickness: 4,
+    bridgeWidth: 18,
+    templeLength: 145,
+    frameColor: 0x222222,
+    frameOpacity: 1,
+    lensColor: 0xffffff,
+    lensOpacity: 0.15
+  },
+  aviator: {
+    lensShape: 'aviator',
+    lensWidth: 58,
+    lensHeight: 50,
+    rimThickness: 1.6,
+    bridgeWidth: 14,
+    templeLength: 140,
+    frameColor: 0xc9a94a,
+    frameOpacity: 1,
+    frameMetalness: 0.9,
+    frameRoughness: 0.25,
+    lensColor: 0x3a4a3a,
+    lensOpacity: 0.7
+  },
+  'cat-eye': {
+    lensShape: 'cat-eye',
+    lensWidth: 53,
+    lensHeight: 42,
+    rimThickness: 4,
+    bridgeWidth: 17,
+    templeLength: 140,
+    frameColor: 0x7a1f3d,
+    frameOpacity: 1,
+    lensColor: 0xffffff,
+    lensOpacity: 0.15
+  },
+  rectangle: {
+    lensShape: 'rectangle',
+    lensWidth: 54,
+    lensHeight: 32,
+    rimThickness: 2.5,
+    bridgeWidth: 17,
+    templeLength: 145,
+    frameColor: 0x2b3a55,
+    frameOpacity: 0.85,
+    lensColor: 0xffffff,
+    lensOpacity: 0.15
+  }
+};
+
+// How well each lens shape suits each face shape, 0-1. Frames should
+// contrast with the face: angular frames soften nothing on a square jaw
+// but balance a round face, and so on.
+const FACE_SHAPE_FRAME_GUIDE = {
+  oval: { rectangle: 0.9, square: 0.9, round: 0.9, aviator: 1, 'cat-eye': 0.9 },
+  round: { rectangle: 1, square: 1, 'cat-eye': 0.7, aviator: 0.6, round: 0.1 },
+  square: { round: 1, aviator: 0.9, 'cat-eye': 0.8, rectangle: 0.3, square: 0.1 },
+  heart: { aviator: 1, round: 0.8, rectangle: 0.6, square: 0.5, 'cat-eye': 0.2 },
+  oblong: { square: 0.9, aviator: 0.9, round: 0.7, 'cat-eye': 0.6, rectangle: 0.3 }
+};
+
+// Ranks frames for a classified face: lens shape against the face shape,
+// and overall frame width against the measured face width when known.
+class FrameRecommender {
+  constructor(styles = FRAME_STYLES) {
+    this.styles = styles;
+  }
+
+  // faceShape is a FaceShapeClassifier result (or just a shape name)
+  recommend(faceShape) {
+    const shape = typeof faceShape === 'string' ? faceShape : faceShape && faceShape.shape;
+    const guide = FACE_SHAPE_FRAME_GUIDE[shape];
+    if (!guide) return [];
+
+    const scores = typeof faceShape === 'object' && faceShape.scores;
+    const faceWidthMm = typeof faceShape === 'object' && faceShape.ratios && faceShape.ratios.faceWidthMm;
+
+    return Object.keys(this.styles).map(frame => {
+      const params = this.styles[frame];
+      let score = this.shapeScore(params.lensShape, guide, scores);
+
+      // Catalogue frames carry the face shapes our stylists tag them for
+      if (params.faceShapes && params.faceShapes.length > 0) {
+        score = (score + (params.faceShapes.includes(shape) ? 1 : 0)) / 2;
+      }
+
+      if (faceWidthMm) {
+        score *= this.widthScore(params, faceWidthMm);
+      }
+
+      return { frame, score };
+    }).sort((a, b) => b.score - a.score);
+  }
+
+  // Blend over all face shapes by their probability, so borderline faces
+  // get recommendations that suit both candidates
+  shapeScore(lensShape, guide, scores) {
+    if (!scores) return guide[lensShape] || 0;
+
+    let score = 0;
+    for (const [shape, weight] of Object.entries(scores)) {
+      score += weight * (FACE_SHAPE_FRAME_GUIDE[shape][lensShape] || 0);
+    }
+    return score;
+  }
+
+  // Frames should be about as wide as the face at the cheekbones
+  widthScore(params, faceWidthMm) {
+    const frameWidth = 2 * params.lensWidth + params.bridgeWidth + 4 * params.rimThickness;
+    const mismatch = Math.abs(frameWidth - faceWidthMm * 0.95) / faceWidthMm;
+    return Math.max(0.5, 1 - mismatch * 2);
+  }
+}
+
+// Builds a glasses frame from a handful of parameters. The result is a
+// THREE.Group centred on the bridge, facing +z, with temples running towards -z.
+// Each mesh carries userData.part ('lens', 'rim', 'bridge', 'temple') and, where
+// it applies, userData.side ('left' or 'right', as seen in the image).
+class ParametricFrameBuilder {
+  static build(options = {}) {
+    const params = Object.assign({}, FRAME_STYLES.classic, options);
+    const {
+      lensWidth, lensHeight, rimThickness, bridgeWidth, templeLength
+    } = params;
+
+    const outline = this.createLensOutline(params.lensShape, lensWidth, lensHeight);
+    const frameMaterial = new THREE.MeshStandardMaterial({
+      color: params.frameColor,
+      metalness: params.frameMetalness !== undefined ? params.frameMetalness : 0.1,
+      roughness: params.frameRoughness !== undefined ? params.frameRoughness : 0.4,
+      transparent: params.frameOpacity < 1,
+      opacity: params.frameOpacity
+    });
+    const lensMaterial = new THREE.MeshStandardMaterial({
+      color: params.lensColor,
+      metalness: 0,
+      roughness: 0.05,
+      transparent: true,
+      opacity: params.lensOpacity,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+
+    const group = new THREE.Group();
+    group.name = 'procedural-frame';
+    group.userData.params = params;
+
+    const lensGeometry = new THREE.ShapeGeometry(outline, 24);
+    const rimGeometry = this.createRimGeometry(outline, rimThickness);
+    const lensOffset = bridgeWidth / 2 + lensWidth / 2;
+
+    // Outlines are drawn for the right lens; the left one is its mirror image
+    for (const side of ['left', 'right']) {
+      const mirror = side === 'left' ? -1 : 1;
+
+      const lens = new THREE.Mesh(lensGeometry, lensMaterial);
+      lens.name = `lens-${side}`;
+      lens.userData = { part: 'lens', side };
+      lens.position.x = lensOffset * mirror;
+      lens.scale.x = mirror;
+      lens.renderOrder = 1;
+      group.add(lens);
+
+      const rim = new THREE.Mesh(rimGeometry, frameMaterial);
+      rim.name = `rim-${side}`;
+      rim.userData = { part: 'rim', side };
+      rim.position.x = lensOffset * mirror;
+      rim.scale.x = mirror;
+      group.add(rim);
+
+      const temple = new THREE.Mesh(
+        this.createTempleGeometry(params, mirror),
+        frameMaterial
+      );
+      temple.name = `temple-${side}`;
+      temple.userData = { part: 'temple', side };
+      group.add(temple);
+    }
+
+    const bridge = new THREE.Mesh(this.createBridgeGeometry(params), frameMaterial);
+    bridge.name = 'bridge';
+    bridge.userData = { part: 'bridge' };
+    group.add(bridge);
+
+    return group;
+  }
+
+  // Closed lens outline centred on the origin, outer edge towards +x
+  static createLensOutline(lensShape, w, h) {
+    const shape = new THREE.Shape();
+
+    switch (lensShape) {
+      case 'round':
+        shape.absellipse(0, 0, w / 2, h / 2, 0, Math.PI * 2, false, 0);
+        break;
+
+      case 'aviator':
+        // Teardrop: flat brow line, deepest point towards the nose
+        shape.moveTo(-w * 0.45, h * 0.42);
+        shape.bezierCurveTo(-w * 0.1, h * 0.52, w * 0.35, h * 0.52, w * 0.5, h * 0.36);
+        shape.bezierCurveTo(w * 0.56, h * 0.05, w * 0.35, -h * 0.42, w * 0.02, -h * 0.5);
+        shape.bezierCurveTo(-w * 0.32, -h * 0.55, -w * 0.52, -h * 0.1, -w * 0.45, h * 0.42);
+        break;
+
+      case 'cat-eye':
+        // Brow line sweeps up into a point at the outer corner
+        shape.moveTo(-w * 0.46, h * 0.3);
+        shape.bezierCurveTo(-w * 0.2, h * 0.46, w * 0.2, h * 0.46, w * 0.5, h * 0.56);
+        shape.bezierCurveTo(w * 0.55, h * 0.1, w * 0.4, -h * 0.5, 0, -h * 0.5);
+        shape.bezierCurveTo(-w * 0.42, -h * 0.5, -w * 0.54, -h * 0.05, -w * 0.46, h * 0.3);
+        break;
+
+      case 'square':
+        this.roundedRect(shape, w, h, Math.min(w, h) * 0.2);
+        break;
+
+      case 'rectangle':
+      default:
+        this.roundedRect(shape, w, h, Math.min(w, h) * 0.12);
+        break;
+    }
+
+    return shape;
+  }
+
+  static roundedRect(shape, w, h, r) {
+    const x = -w / 2;
+    const y = -h / 2;
+    shape.moveTo(x + r, y);
+    shape.lineTo(x + w - r, y);
+    shape.quadraticCurveTo(x + w, y, x + w, y + r);
+    shape.lineTo(x + w, y + h - r);
+    shape.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
+    shape.lineTo(x + r, y + h);
+    shape.quadraticCurveTo(x, y + h, x, y + h - r);
+    shape.lineTo(x, y + r);
+    shape.quadraticCurveTo(x, y, x + r, y);
+    return shape;
+  }
+
+  // Rim is a tube swept along the lens outline
+  static createRimGeometry(outline, thickness) {
+    const points = outline.getSpacedPoints(96).slice(0, -1)
+      .map(p => new THREE.Vector3(p.x, p.y, 0));
+    const path = new THREE.CatmullRomCurve3(points, true);
+    return new THREE.TubeGeometry(path, 128, thickness / 2, 8, true);
+  }
+
+  static createBridgeGeometry({ bridgeWidth, lensHeight, rimThickness }) {
+    const y = lensHeight * 0.25;
+    const curve = new THREE.QuadraticBezierCurve3(
+      new THREE.Vector3(-bridgeWidth / 2 - rimThickness / 2, y, 0),
+      new THREE.Vector3(0, y + bridgeWidth * 0.35, 0),
+      new THREE.Vector3(bridgeWidth / 2 + rimThickness / 2, y, 0)
+    );
+    return new THREE.TubeGeometry(curve, 24, rimThickness * 0.4, 8, false);
+  }
+
+  // Temple arm from the outer hinge back over the ear, splaying out slightly
+  static createTempleGeometry({ bridgeWidth, lensWidth, lensHeight, rimThickness, templeLength }, mirror) {
+    const x = (bridgeWidth / 2 + lensWidth) * mirror;
+    const y = lensHeight * 0.3;
+    const curve = new THREE.CatmullRomCurve3([
+      new THREE.Vector3(x, y, 0),
+      new THREE.Vector3(x * 1.03, y, -templeLength * 0.1),
+      new THREE.Vector3(x * 1.08, y - 2, -templeLength * 0.75),
+      new THREE.Vector3(x * 1.07, y - 18, -templeLength)
+    ]);
+    return new THREE.TubeGeometry(curve, 48, rimThickness * 0.45, 8, false);
+  }
 }
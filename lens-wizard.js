@@ -0,0 +1,857 @@
+// Lens configuration wizard: usage, lens package, prescription (or reading
+// strength), then a priced review. Builds its own modal, so any page can
+// open it; the finished configuration is handed to onComplete in the shape
+// the cart stores as a line's lens.
+class LensWizard {
+    constructor(options = {}) {
+        this.container = options.container || document.body;
+        this.formatPrice = options.formatPrice || (amount => `₹${amount}`);
+        this.onComplete = options.onComplete || null;
+        this.onMeasurePd = options.onMeasurePd || null;
+        this.onScanPrescription = options.onScanPrescription || null;
+        this.onClose = options.onClose || null;
+        this.storage = options.storage || window.localStorage;
+
+        this.state = LensWizard.initialState();
+        this.stepIndex = 0;
+        this.errors = {};
+        this.warnings = [];
+        this.uncertain = new Set();
+        this.scanConfirmed = false;
+        this.scanStatus = '';
+        this.scanning = false;
+        // Prescriptions are only kept when the customer ticks the box, as
+        // the shop may be running on a shared device
+        this.rememberPrescription = false;
+
+        this.build();
+    }
+
+    static initialState() {
+        const eye = () => ({ sph: '0.00', cyl: '0.00', axis: '', add: '' });
+        return {
+            usage: 'single-vision',
+            packageId: LensWizard.PACKAGES['single-vision'][0].id,
+            prescription: { od: eye(), os: eye() },
+            pd: { mode: 'single', value: '', right: '', left: '', measured: false },
+            readingPower: '+1.50'
+        };
+    }
+
+    build() {
+        this.root = document.createElement('div');
+        this.root.className = 'lens-wizard';
+        this.root.innerHTML = `
+            <div class="lens-wizard-content" role="dialog" aria-modal="true" aria-labelledby="lens-wizard-title">
+                <button type="button" class="lens-wizard-close" aria-label="Close">&times;</button>
+                <ol class="lens-wizard-steps"></ol>
+                <h2 class="lens-wizard-title" id="lens-wizard-title"></h2>
+                <p class="lens-wizard-subtitle"></p>
+                <div class="lens-wizard-body"></div>
+                <div class="lens-wizard-price">
+                    <div class="lens-wizard-subtotal">
+                        <span>Lens subtotal:</span>
+                        <span class="amount"></span>
+                    </div>
+                    <div class="lens-wizard-payment-plan"></div>
+                </div>
+                <div class="lens-wizard-nav">
+                    <button type="button" class="lens-wizard-back">Back</button>
+                    <button type="button" class="lens-wizard-next">Continue</button>
+                </div>
+            </div>`;
+        this.container.appendChild(this.root);
+
+        this.stepList = this.root.querySelector('.lens-wizard-steps');
+        this.title = this.root.querySelector('.lens-wizard-title');
+        this.subtitle = this.root.querySelector('.lens-wizard-subtitle');
+        this.body = this.root.querySelector('.lens-wizard-body');
+        this.amount = this.root.querySelector('.lens-wizard-subtotal .amount');
+        this.paymentPlan = this.root.querySelector('.lens-wizard-payment-plan');
+        this.backButton = this.root.querySelector('.lens-wizard-back');
+        this.nextButton = this.root.querySelector('.lens-wizard-next');
+
+        this.root.querySelector('.lens-wizard-close').addEventListener('click', () => this.close());
+        this.backButton.addEventListener('click', () => this.back());
+        this.nextButton.addEventListener('click', () => this.next());
+
+        // Clicking the backdrop closes, like the other modals
+        this.root.addEventListener('click', (e) => {
+            if (e.target === this.root) this.close();
+        });
+
+        this.body.addEventListener('click', (e) => this.onBodyClick(e));
+        this.body.addEventListener('input', (e) => this.onFieldChange(e));
+        this.body.addEventListener('change', (e) => this.onFieldChange(e));
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+    }
+
+    // Starts over unless a previous configuration is given to edit
+    open(configuration = null) {
+        this.state = configuration ? LensWizard.stateFromConfiguration(configuration) : LensWizard.initialState();
+        this.stepIndex = 0;
+        this.errors = {};
+        this.warnings = [];
+        this.clearScan();
+        // Customers who asked to be remembered stay remembered until they untick
+        this.rememberPrescription = Boolean(this.loadSavedPrescription());
+        this.render();
+        this.show();
+    }
+
+    close() {
+        this.hide();
+        if (this.onClose) this.onClose();
+    }
+
+    // show/hide keep the wizard's state, e.g. while the PD camera is open
+    show() {
+        this.root.classList.add('open');
+    }
+
+    hide() {
+        this.root.classList.remove('open');
+    }
+
+    isOpen() {
+        return this.root.classList.contains('open');
+    }
+
+    getSteps() {
+        const steps = ['usage', 'package'];
+        if (LensWizard.needsPrescription(this.state.usage)) {
+            steps.push('prescription');
+        } else if (this.state.usage === 'reading') {
+            steps.push('reading');
+        }
+        steps.push('review');
+        return steps;
+    }
+
+    getCurrentStep() {
+        return this.getSteps()[this.stepIndex];
+    }
+
+    back() {
+        if (this.stepIndex > 0) {
+            this.stepIndex--;
+            this.errors = {};
+            this.render();
+        }
+    }
+
+    next() {
+        const step = this.getCurrentStep();
+
+        if (step === 'prescription') {
+            const result = LensWizard.validatePrescription(this.state.prescription, this.state.pd, {
+                requireAdd: this.state.usage === 'progressive'
+            });
+            this.errors = result.errors;
+            this.warnings = result.warnings;
+            // Values read from a photo need the customer's say-so
+            if (this.uncertain.size > 0 && !this.scanConfirmed) {
+                this.errors['scan.confirmed'] = 'Please check the highlighted values and tick the box';
+            }
+            if (Object.keys(this.errors).length > 0) {
+                this.showErrors();
+                return;
+            }
+        }
+
+        if (step === 'review') {
+            this.complete();
+            return;
+        }
+
+        this.stepIndex++;
+        this.errors = {};
+        this.render();
+    }
+
+    complete() {
+        const configuration = this.getConfiguration();
+        if (configuration.prescription && this.rememberPrescription) {
+            this.savePrescription();
+        } else if (configuration.prescription) {
+            this.forgetPrescription();
+        }
+        this.hide();
+        if (this.onComplete) this.onComplete(configuration);
+    }
+
+    // The structured result the cart stores as a line's lens
+    getConfiguration() {
+        const usage = LensWizard.USAGES.find(item => item.id === this.state.usage);
+        const lensPackage = this.getPackage();
+        const pricing = this.getPricing();
+
+        let prescription = null;
+        if (LensWizard.needsPrescription(this.state.usage)) {
+            const eye = (rx) => {
+                const cyl = parseFloat(rx.cyl);
+                return {
+                    sph: parseFloat(rx.sph),
+                    cyl: cyl,
+                    axis: cyl !== 0 ? parseInt(rx.axis, 10) : null,
+                    add: this.state.usage === 'progressive' ? parseFloat(rx.add) : null
+                };
+            };
+            const pd = this.state.pd;
+            prescription = {
+                od: eye(this.state.prescription.od),
+                os: eye(this.state.prescription.os),
+                pd: pd.mode === 'dual'
+                    ? { binocular: Math.round((parseFloat(pd.right) + parseFloat(pd.left)) * 10) / 10, right: parseFloat(pd.right), left: parseFloat(pd.left), measured: pd.measured }
+                    : { binocular: parseFloat(pd.value), right: null, left: null, measured: pd.measured }
+            };
+        }
+
+        return {
+            usage: usage.id,
+            usageName: usage.name,
+            package: { id: lensPackage.id, name: lensPackage.name },
+            name: `${usage.name} - ${lensPackage.name}`,
+            prescription: prescription,
+            readingPower: this.state.usage === 'reading' ? parseFloat(this.state.readingPower) : null,
+            priceBreakdown: pricing.items,
+            price: pricing.total
+        };
+    }
+
+    getPackage() {
+        const packages = LensWizard.PACKAGES[this.state.usage];
+        return packages.find(item => item.id === this.state.packageId) || packages[0];
+    }
+
+    getPricing() {
+        const lensPackage = this.getPackage();
+        const items = [{ label: lensPackage.name, amount: lensPackage.price }];
+
+        // Strong prescriptions need high-index material unless the package
+        // is high-index already
+        if (LensWizard.needsPrescription(this.state.usage) && !lensPackage.highIndex &&
+            LensWizard.isHighPower(this.state.prescription)) {
+            items.push({ label: 'High-index upgrade for strong prescription', amount: LensWizard.HIGH_INDEX_SURCHARGE });
+        }
+
+        return { items, total: items.reduce((sum, item) => sum + item.amount, 0) };
+    }
+
+    // Measured values from the PD camera; fills the dual PD fields
+    setPd(result) {
+        this.state.pd = {
+            mode: 'dual',
+            value: result.pd.toFixed(1),
+            right: result.rightPd.toFixed(1),
+            left: result.leftPd.toFixed(1),
+            measured: true
+        };
+        delete this.errors.pd;
+        delete this.errors['pd.right'];
+        delete this.errors['pd.left'];
+        if (this.getCurrentStep() === 'prescription') this.render();
+    }
+
+    // Values read from a prescription photo (see PrescriptionScanner.parse).
+    // Fields the scan was unsure of, or could not find, are highlighted
+    // until the customer edits them or confirms them all.
+    setPrescription(scan) {
+        const showAdd = this.state.usage === 'progressive';
+        const uncertain = new Set(scan.uncertain);
+
+        ['od', 'os'].forEach(eye => {
+            const values = scan.prescription[eye];
+            const rx = this.state.prescription[eye];
+
+            ['sph', 'cyl'].forEach(key => {
+                if (values[key] !== null) {
+                    rx[key] = LensWizard.formatPower(values[key]);
+                } else {
+                    uncertain.add(`${eye}.${key}`);
+                }
+            });
+
+            const hasCyl = parseFloat(rx.cyl) !== 0;
+            rx.axis = hasCyl && values.axis !== null ? String(values.axis) : '';
+            if (hasCyl && values.axis === null) uncertain.add(`${eye}.axis`);
+            if (!hasCyl) uncertain.delete(`${eye}.axis`);
+
+            if (values.add !== null) {
+                rx.add = LensWizard.formatPower(values.add);
+            } else if (showAdd) {
+                uncertain.add(`${eye}.add`);
+            }
+            if (!showAdd) uncertain.delete(`${eye}.add`);
+        });
+
+        const pd = scan.pd;
+        if (pd && pd.right !== null && pd.left !== null) {
+            this.state.pd = { mode: 'dual', value: String(pd.binocular), right: String(pd.right), left: String(pd.left), measured: false };
+            uncertain.delete('pd.value');
+        } else if (pd && pd.binocular !== null) {
+            this.state.pd = { mode: 'single', value: String(pd.binocular), right: '', left: '', measured: false };
+            uncertain.delete('pd.right');
+            uncertain.delete('pd.left');
+        } else if (this.state.pd.mode === 'dual') {
+            uncertain.add('pd.right');
+            uncertain.add('pd.left');
+        } else {
+            uncertain.add('pd.value');
+        }
+
+        this.warnings = [];
+        const hasAdd = ['od', 'os'].some(eye => scan.prescription[eye].add !== null);
+        if (hasAdd && !showAdd) {
+            this.warnings.push('Your prescription includes an ADD for reading. Bifocal & Progressive lenses may suit you better.');
+        }
+
+        this.uncertain = uncertain;
+        this.scanConfirmed = false;
+        this.errors = {};
+        if (this.getCurrentStep() === 'prescription') this.render();
+    }
+
+    clearScan() {
+        this.uncertain = new Set();
+        this.scanConfirmed = false;
+        this.scanStatus = '';
+    }
+
+    async scanPrescription(file) {
+        if (!file || this.scanning || !this.onScanPrescription) return;
+
+        this.scanning = true;
+        this.setScanStatus('Reading your prescription...');
+        try {
+            const scan = await this.onScanPrescription(file, (progress) => {
+                this.setScanStatus(`Reading your prescription... ${Math.round(progress * 100)}%`);
+            });
+            if (!scan.found) {
+                this.setScanStatus('We could not find prescription values in that photo. Try a sharper, well-lit photo, or enter them below.');
+                return;
+            }
+            this.setPrescription(scan);
+            this.setScanStatus(this.uncertain.size > 0
+                ? 'Filled in from your photo. Please check the highlighted values.'
+                : 'Filled in from your photo. Please check every value before continuing.');
+        } catch (error) {
+            console.error('Prescription scan failed:', error);
+            this.setScanStatus('We could not read that photo. Please enter your prescription below.');
+        } finally {
+            this.scanning = false;
+        }
+    }
+
+    setScanStatus(message) {
+        this.scanStatus = message;
+        const status = this.body.querySelector('.lens-wizard-scan-status');
+        if (status) status.textContent = message;
+    }
+
+    loadSavedPrescription() {
+        try {
+            return JSON.parse(this.storage.getItem(LensWizard.STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Kept on this device only, and only when asked, so returning customers
+    // can reuse it
+    savePrescription() {
+        try {
+            this.storage.setItem(LensWizard.STORAGE_KEY, JSON.stringify({
+                prescription: this.state.prescription,
+                pd: this.state.pd
+            }));
+        } catch (error) {
+            console.warn('Could not save the prescription:', error);
+        }
+    }
+
+    forgetPrescription() {
+        try {
+            this.storage.removeItem(LensWizard.STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not remove the saved prescription:', error);
+        }
+        this.rememberPrescription = false;
+    }
+
+    onBodyClick(e) {
+        const option = e.target.closest('.lens-wizard-option');
+        if (option) {
+            if (option.dataset.usage) {
+                if (this.state.usage !== option.dataset.usage) {
+                    this.state.usage = option.dataset.usage;
+                    this.state.packageId = LensWizard.PACKAGES[this.state.usage][0].id;
+                    this.warnings = [];
+                }
+            } else if (option.dataset.package) {
+                this.state.packageId = option.dataset.package;
+            }
+            this.render();
+            return;
+        }
+
+        const action = e.target.closest('[data-action]');
+        if (!action) return;
+
+        if (action.dataset.action === 'measure-pd' && this.onMeasurePd) {
+            this.onMeasurePd();
+        } else if (action.dataset.action === 'use-saved') {
+            const saved = this.loadSavedPrescription();
+            if (saved) {
+                this.state.prescription = saved.prescription;
+                this.state.pd = saved.pd;
+                this.errors = {};
+                this.clearScan();
+                this.render();
+            }
+        } else if (action.dataset.action === 'forget-saved') {
+            this.forgetPrescription();
+            this.render();
+        }
+    }
+
+    onFieldChange(e) {
+        if (e.target.dataset.action === 'scan-prescription') {
+            if (e.type === 'change') {
+                this.scanPrescription(e.target.files[0]);
+                e.target.value = '';
+            }
+            return;
+        }
+
+        const field = e.target.dataset.field;
+        if (!field) return;
+
+        if (field === 'remember') {
+            this.rememberPrescription = e.target.checked;
+            return;
+        }
+
+        if (field === 'scan.confirmed') {
+            this.scanConfirmed = e.target.checked;
+            delete this.errors[field];
+            this.showErrors();
+            return;
+        }
+
+        if (field === 'pd.mode') {
+            this.state.pd.mode = e.target.checked ? 'dual' : 'single';
+            this.render();
+            return;
+        }
+
+        const [group, key] = field.split('.');
+        if (group === 'od' || group === 'os') {
+            this.state.prescription[group][key] = e.target.value;
+        } else if (group === 'pd') {
+            this.state.pd[key] = e.target.value;
+            // A hand-typed PD replaces the measured one
+            this.state.pd.measured = false;
+        } else if (field === 'readingPower') {
+            this.state.readingPower = e.target.value;
+        }
+
+        // Editing a highlighted value counts as checking it
+        if (this.uncertain.delete(field)) {
+            e.target.classList.remove('uncertain');
+        }
+
+        // Clear the field's error as soon as it is edited
+        if (this.errors[field]) {
+            delete this.errors[field];
+            this.showErrors();
+        }
+        this.renderPrice();
+    }
+
+    render() {
+        const steps = this.getSteps();
+        const step = steps[this.stepIndex];
+
+        this.stepList.innerHTML = steps.map((name, index) => {
+            const className = index === this.stepIndex ? 'current' : index < this.stepIndex ? 'done' : '';
+            return `<li class="${className}">${LensWizard.STEP_TITLES[name]}</li>`;
+        }).join('');
+
+        const renderers = {
+            usage: () => this.renderUsage(),
+            package: () => this.renderPackages(),
+            prescription: () => this.renderPrescription(),
+            reading: () => this.renderReading(),
+            review: () => this.renderReview()
+        };
+        renderers[step]();
+
+        this.backButton.style.visibility = this.stepIndex > 0 ? 'visible' : 'hidden';
+        this.nextButton.textContent = step === 'review' ? 'Add These Lenses' : 'Continue';
+        this.showErrors();
+        this.renderPrice();
+    }
+
+    renderUsage() {
+        this.title.textContent = 'Choose your usage';
+        this.subtitle.textContent = 'Learn about different lens usages';
+        this.body.innerHTML = LensWizard.USAGES.map(usage => `
+            <div class="lens-wizard-option ${usage.id === this.state.usage ? 'active' : ''}" data-usage="${usage.id}">
+                <div class="lens-wizard-option-header">
+                    <span class="lens-wizard-option-name">${usage.name}</span>
+                </div>
+                <p class="lens-wizard-option-description">${usage.description}</p>
+            </div>`).join('');
+    }
+
+    renderPackages() {
+        const usage = LensWizard.USAGES.find(item => item.id === this.state.usage);
+        this.title.textContent = `Choose your ${usage.name} lenses`;
+        this.subtitle.textContent = 'Every package includes scratch-resistant coating';
+        this.body.innerHTML = LensWizard.PACKAGES[this.state.usage].map(item => `
+            <div class="lens-wizard-option ${item.id === this.getPackage().id ? 'active' : ''}" data-package="${item.id}">
+                <div class="lens-wizard-option-header">
+                    <span class="lens-wizard-option-name">${item.name}${item.badge ? `<span class="lens-wizard-badge">${item.badge}</span>` : ''}</span>
+                    <span class="lens-wizard-option-price">${item.price > 0 ? this.formatPrice(item.price) : 'Free'}</span>
+                </div>
+                <p class="lens-wizard-option-description">${item.description}</p>
+            </div>`).join('');
+    }
+
+    renderPrescription() {
+        const rx = this.state.prescription;
+        const pd = this.state.pd;
+        const showAdd = this.state.usage === 'progressive';
+
+        const select = (field, values, current) => `
+            <select data-field="${field}" aria-label="${field}" class="${this.flag(field)}">
+                ${values.map(value => `<option value="${value}" ${value === current ? 'selected' : ''}>${value}</option>`).join('')}
+            </select>`;
+        const sphValues = LensWizard.powerOptions(LensWizard.RANGES.sph);
+        const cylValues = LensWizard.powerOptions(LensWizard.RANGES.cyl);
+        const addValues = [''].concat(LensWizard.powerOptions(LensWizard.RANGES.add));
+
+        const row = (eye, label) => `
+            <tr>
+                <th scope="row">${label}</th>
+                <td>${select(`${eye}.sph`, sphValues, rx[eye].sph)}<p class="lens-wizard-error" data-error-for="${eye}.sph"></p></td>
+                <td>${select(`${eye}.cyl`, cylValues, rx[eye].cyl)}<p class="lens-wizard-error" data-error-for="${eye}.cyl"></p></td>
+                <td><input type="number" data-field="${eye}.axis" min="1" max="180" step="1" value="${rx[eye].axis}" placeholder="-" aria-label="${eye}.axis" class="${this.flag(`${eye}.axis`)}"><p class="lens-wizard-error" data-error-for="${eye}.axis"></p></td>
+                ${showAdd ? `<td>${select(`${eye}.add`, addValues, rx[eye].add)}<p class="lens-wizard-error" data-error-for="${eye}.add"></p></td>` : ''}
+            </tr>`;
+
+        const saved = this.loadSavedPrescription();
+
+        this.title.textContent = 'Enter your prescription';
+        this.subtitle.textContent = 'Copy the values exactly as written on your prescription';
+        this.body.innerHTML = `
+            <div class="lens-wizard-actions">
+                ${saved ? `
+                    <button type="button" class="lens-wizard-secondary" data-action="use-saved">Use my last prescription</button>
+                    <button type="button" class="lens-wizard-secondary" data-action="forget-saved">Forget it on this device</button>` : ''}
+                ${this.onScanPrescription ? `
+                    <label class="lens-wizard-secondary">
+                        <i class="fas fa-file-image"></i> Upload a photo of your prescription
+                        <input type="file" accept="image/*" data-action="scan-prescription" hidden>
+                    </label>` : ''}
+            </div>
+            ${this.onScanPrescription ? `
+                <p class="lens-wizard-note lens-wizard-scan-status" aria-live="polite">${this.scanStatus}</p>
+                <p class="lens-wizard-note">Your photo is read on this device and never uploaded.</p>` : ''}
+            <table class="lens-wizard-rx">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>SPH</th>
+                        <th>CYL</th>
+                        <th>AXIS</th>
+                        ${showAdd ? '<th>ADD</th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${row('od', 'OD (Right)')}
+                    ${row('os', 'OS (Left)')}
+                </tbody>
+            </table>
+            <div class="lens-wizard-warnings"></div>
+            <div class="lens-wizard-section-title">Pupillary Distance (PD)</div>
+            <label class="lens-wizard-toggle">
+                <input type="checkbox" data-field="pd.mode" ${pd.mode === 'dual' ? 'checked' : ''}>
+                I have two PD numbers (right and left)
+            </label>
+            <div class="lens-wizard-pd">
+                ${pd.mode === 'dual' ? `
+                    <div>
+                        <label for="lens-wizard-pd-right">Right</label>
+                        <input type="number" id="lens-wizard-pd-right" data-field="pd.right" min="25" max="40" step="0.5" value="${pd.right}" placeholder="e.g. 31.5" class="${this.flag('pd.right')}">
+                        <p class="lens-wizard-error" data-error-for="pd.right"></p>
+                    </div>
+                    <div>
+                        <label for="lens-wizard-pd-left">Left</label>
+                        <input type="number" id="lens-wizard-pd-left" data-field="pd.left" min="25" max="40" step="0.5" value="${pd.left}" placeholder="e.g. 31.5" class="${this.flag('pd.left')}">
+                        <p class="lens-wizard-error" data-error-for="pd.left"></p>
+                    </div>` : `
+                    <div>
+                        <input type="number" data-field="pd.value" min="50" max="80" step="0.5" value="${pd.value}" placeholder="e.g. 63" aria-label="PD" class="${this.flag('pd.value')}">
+                        <p class="lens-wizard-error" data-error-for="pd.value"></p>
+                    </div>`}
+                ${this.onMeasurePd ? '<button type="button" class="lens-wizard-secondary" data-action="measure-pd"><i class="fas fa-camera"></i> Measure with camera</button>' : ''}
+            </div>
+            <p class="lens-wizard-note">${pd.measured ? `Measured with your camera: ${pd.value} mm` : 'AXIS is only needed when CYL is not 0.00'}</p>
+            ${this.uncertain.size > 0 ? `
+                <label class="lens-wizard-toggle">
+                    <input type="checkbox" data-field="scan.confirmed" ${this.scanConfirmed ? 'checked' : ''}>
+                    I have checked the highlighted values against my prescription
+                </label>
+                <p class="lens-wizard-error" data-error-for="scan.confirmed"></p>` : ''}`;
+    }
+
+    flag(field) {
+        return this.uncertain.has(field) ? 'uncertain' : '';
+    }
+
+    renderReading() {
+        const powers = LensWizard.powerOptions(LensWizard.RANGES.reading);
+        this.title.textContent = 'Choose your reading strength';
+        this.subtitle.textContent = 'Readers use the same power in both lenses';
+        this.body.innerHTML = `
+            <div class="lens-wizard-reading">
+                <select data-field="readingPower" aria-label="Reading strength">
+                    ${powers.map(value => `<option value="${value}" ${value === this.state.readingPower ? 'selected' : ''}>${value}</option>`).join('')}
+                </select>
+            </div>
+            <p class="lens-wizard-note">Not sure? Most people start with +1.00 in their 40s and +2.00 around 55.</p>`;
+    }
+
+    renderReview() {
+        const configuration = this.getConfiguration();
+        const rows = [['Usage', configuration.usageName], ['Lenses', configuration.package.name]];
+
+        const rx = configuration.prescription;
+        if (rx) {
+            const eye = (values) => {
+                let text = `SPH ${LensWizard.formatPower(values.sph)} CYL ${LensWizard.formatPower(values.cyl)}`;
+                if (values.axis !== null) text += ` AXIS ${values.axis}`;
+                if (values.add !== null) text += ` ADD ${LensWizard.formatPower(values.add)}`;
+                return text;
+            };
+            rows.push(['OD (Right)', eye(rx.od)], ['OS (Left)', eye(rx.os)]);
+            rows.push(['PD', rx.pd.right !== null
+                ? `${rx.pd.right} / ${rx.pd.left} mm`
+                : `${rx.pd.binocular} mm`]);
+        }
+        if (configuration.readingPower !== null) {
+            rows.push(['Reading strength', LensWizard.formatPower(configuration.readingPower)]);
+        }
+
+        this.title.textContent = 'Review your lenses';
+        this.subtitle.textContent = '';
+        this.body.innerHTML = `
+            <ul class="lens-wizard-summary">
+                ${rows.map(([label, value]) => `<li><span>${label}</span><span>${value}</span></li>`).join('')}
+                ${configuration.priceBreakdown.map(item => `<li><span>${item.label}</span><span>${this.formatPrice(item.amount)}</span></li>`).join('')}
+            </ul>
+            ${rx ? `
+                <label class="lens-wizard-toggle">
+                    <input type="checkbox" data-field="remember" ${this.rememberPrescription ? 'checked' : ''}>
+                    Remember my prescription on this device
+                </label>
+                <p class="lens-wizard-note">Leave this unticked on a shared or shop device.</p>` : ''}
+            <div class="lens-wizard-warnings">${this.warnings.join('<br>')}</div>`;
+    }
+
+    renderPrice() {
+        const total = this.getPricing().total;
+        this.amount.textContent = this.formatPrice(total);
+        this.paymentPlan.textContent = total > 0
+            ? `4 interest-free payments of ${this.formatPrice(Math.ceil(total / 4))}`
+            : 'Included with your frame';
+    }
+
+    showErrors() {
+        this.body.querySelectorAll('[data-error-for]').forEach(element => {
+            const message = this.errors[element.dataset.errorFor] || '';
+            element.textContent = message;
+            const field = this.body.querySelector(`[data-field="${element.dataset.errorFor}"]`);
+            if (field) field.classList.toggle('invalid', Boolean(message));
+        });
+
+        const warnings = this.body.querySelector('.lens-wizard-warnings');
+        if (warnings && this.getCurrentStep() === 'prescription') {
+            warnings.innerHTML = this.warnings.join('<br>');
+        }
+    }
+
+    static needsPrescription(usage) {
+        return usage === 'single-vision' || usage === 'progressive';
+    }
+
+    // Checks a prescription against the ranges opticians actually dispense.
+    // Errors block the step; warnings are shown but allowed.
+    static validatePrescription(prescription, pd, options = {}) {
+        const errors = {};
+        const warnings = [];
+        const ranges = LensWizard.RANGES;
+
+        const checkPower = (field, raw, range, label) => {
+            const value = parseFloat(raw);
+            if (raw === '' || raw === null || raw === undefined || isNaN(value)) {
+                errors[field] = `Enter ${label}`;
+            } else if (value < range.min || value > range.max) {
+                errors[field] = `${label} must be between ${LensWizard.formatPower(range.min)} and ${LensWizard.formatPower(range.max)}`;
+            } else if (Math.abs(value / 0.25 - Math.round(value / 0.25)) > 1e-6) {
+                errors[field] = `${label} comes in 0.25 steps`;
+            }
+            return value;
+        };
+
+        const sph = {};
+        const add = {};
+        ['od', 'os'].forEach(eye => {
+            const rx = prescription[eye];
+            sph[eye] = checkPower(`${eye}.sph`, rx.sph, ranges.sph, 'SPH');
+            const cyl = checkPower(`${eye}.cyl`, rx.cyl, ranges.cyl, 'CYL');
+
+            // Axis only means something with cylinder power
+            if (cyl !== 0 && !isNaN(cyl)) {
+                const axis = Number(rx.axis);
+                if (rx.axis === '' || !Number.isInteger(axis) || axis < 1 || axis > 180) {
+                    errors[`${eye}.axis`] = 'AXIS must be a whole number from 1 to 180';
+                }
+            }
+
+            if (options.requireAdd) {
+                add[eye] = checkPower(`${eye}.add`, rx.add, ranges.add, 'ADD');
+            }
+        });
+
+        if (options.requireAdd && add.od !== add.os && !isNaN(add.od) && !isNaN(add.os)) {
+            warnings.push('ADD is usually the same for both eyes. Please check your prescription.');
+        }
+        if (Math.abs(sph.od - sph.os) > 3) {
+            warnings.push('Your eyes differ by more than 3.00 SPH. Please double-check the values.');
+        }
+
+        if (pd.mode === 'dual') {
+            ['right', 'left'].forEach(side => {
+                const value = parseFloat(pd[side]);
+                if (isNaN(value) || value < ranges.monocularPd.min || value > ranges.monocularPd.max) {
+                    errors[`pd.${side}`] = `Enter a PD from ${ranges.monocularPd.min} to ${ranges.monocularPd.max} mm`;
+                }
+            });
+        } else {
+            const value = parseFloat(pd.value);
+            if (isNaN(value) || value < ranges.pd.min || value > ranges.pd.max) {
+                errors['pd.value'] = `Enter a PD from ${ranges.pd.min} to ${ranges.pd.max} mm`;
+            }
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors, warnings };
+    }
+
+    // Strongest meridian in either eye above the high-index threshold
+    static isHighPower(prescription) {
+        return ['od', 'os'].some(eye => {
+            const sph = parseFloat(prescription[eye].sph) || 0;
+            const cyl = parseFloat(prescription[eye].cyl) || 0;
+            return Math.max(Math.abs(sph), Math.abs(sph + cyl)) > LensWizard.HIGH_INDEX_THRESHOLD;
+        });
+    }
+
+    static powerOptions(range) {
+        const values = [];
+        for (let value = range.max; value >= range.min - 1e-9; value -= 0.25) {
+            values.push(LensWizard.formatPower(value));
+        }
+        return values;
+    }
+
+    static formatPower(value) {
+        const rounded = Math.round(value * 100) / 100;
+        if (rounded === 0) return '0.00';
+        return (rounded > 0 ? '+' : '') + rounded.toFixed(2);
+    }
+
+    static stateFromConfiguration(configuration) {
+        const state = LensWizard.initialState();
+        state.usage = configuration.usage;
+        state.packageId = configuration.package.id;
+
+        const rx = configuration.prescription;
+        if (rx) {
+            ['od', 'os'].forEach(eye => {
+                state.prescription[eye] = {
+                    sph: LensWizard.formatPower(rx[eye].sph),
+                    cyl: LensWizard.formatPower(rx[eye].cyl),
+                    axis: rx[eye].axis !== null ? String(rx[eye].axis) : '',
+                    add: rx[eye].add !== null ? LensWizard.formatPower(rx[eye].add) : ''
+                };
+            });
+            state.pd = rx.pd.right !== null
+                ? { mode: 'dual', value: String(rx.pd.binocular), right: String(rx.pd.right), left: String(rx.pd.left), measured: rx.pd.measured }
+                : { mode: 'single', value: String(rx.pd.binocular), right: '', left: '', measured: rx.pd.measured };
+        }
+        if (configuration.readingPower !== null) {
+            state.readingPower = LensWizard.formatPower(configuration.readingPower);
+        }
+        return state;
+    }
+}
+
+LensWizard.STORAGE_KEY = 'addsub-last-prescription';
+
+LensWizard.STEP_TITLES = {
+    usage: 'Usage',
+    package: 'Lenses',
+    prescription: 'Prescription',
+    reading: 'Strength',
+    review: 'Review'
+};
+
+LensWizard.USAGES = [
+    { id: 'single-vision', name: 'Single Vision', description: 'General use lenses for common prescriptions and seeing things from distance.' },
+    { id: 'progressive', name: 'Bifocal & Progressive', description: 'One pair of glasses corrects vision at near, middle, and far distances.' },
+    { id: 'reading', name: 'Reading', description: 'Lenses that magnify to assist with reading.' },
+    { id: 'non-prescription', name: 'Non-Prescription', description: 'Basic lenses with no vision correction.' }
+];
+
+// Prices in rupees, on top of the frame
+LensWizard.PACKAGES = {
+    'single-vision': [
+        { id: 'sv-anti-glare', name: 'Anti-Glare Clear', price: 1000, description: 'Clear lenses with anti-reflective coating for everyday wear.' },
+        { id: 'sv-blue-cut', name: 'Blue Cut', price: 1500, badge: 'Popular', description: 'Filters blue light from screens to reduce eye strain.' },
+        { id: 'sv-thin', name: 'Thin & Light 1.67', price: 2500, highIndex: true, description: 'High-index lenses up to 40% thinner, best for strong prescriptions.' }
+    ],
+    progressive: [
+        { id: 'kodak-intromax', name: 'KODAK IntroMax Lenses', price: 6500, badge: 'Top pick', highIndex: true, description: 'Premium KODAK progressive lenses with advanced technology for sharper vision, wider viewing, and reduced distortion for ultimate comfort.' },
+        { id: 'kodak-introplus', name: 'KODAK IntroPlus Lenses', price: 5000, badge: 'New', description: 'High-quality KODAK lenses featuring advanced technology for smooth, clear vision and easy adaptation.' },
+        { id: 'premium-progressive', name: 'Premium Progressive', price: 4000, description: 'Perfect balance of price and performance, offering smooth, seamless vision across all distances.' },
+        { id: 'progressive', name: 'Progressive', price: 3000, description: 'Standard everyday lenses with clear vision for near, intermediate, and distance needs.' },
+        { id: 'bifocal', name: 'Bifocal', price: 2000, description: 'Classic lenses with a visible line, providing separate areas for reading and distance vision.' }
+    ],
+    reading: [
+        { id: 'readers', name: 'Readers', price: 800, description: 'Lenses for reading up close.' },
+        { id: 'intermediate', name: 'Intermediate', price: 1200, description: 'Lenses for reading at computer screen distance.' }
+    ],
+    'non-prescription': [
+        { id: 'clear', name: 'Clear Demo Lenses', price: 0, description: 'Plain lenses with no power, for fashion wear.' },
+        { id: 'zero-power-blue-cut', name: 'Zero Power Blue Cut', price: 1000, description: 'No correction, with blue light filtering for long screen days.' }
+    ]
+};
+
+// Dispensable ranges, in dioptres (PD in mm)
+LensWizard.RANGES = {
+    sph: { min: -20, max: 20 },
+    cyl: { min: -6, max: 6 },
+    add: { min: 0.75, max: 3.5 },
+    reading: { min: 1, max: 3.5 },
+    pd: { min: 50, max: 80 },
+    monocularPd: { min: 25, max: 40 }
+};
+
+LensWizard.HIGH_INDEX_THRESHOLD = 6;
+LensWizard.HIGH_INDEX_SURCHARGE = 1500;
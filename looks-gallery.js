@@ -0,0 +1,463 @@
+// Captured looks kept in IndexedDB, so they survive a reload and can be
+// compared later. Each look is the photo plus what was worn: frame id,
+// colour, lens tint and the fit sliders. Without IndexedDB (some private
+// browsing modes) looks are only kept for the visit.
+class LookStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || LookStore.DB_NAME;
+        this.maxLooks = options.maxLooks || LookStore.MAX_LOOKS;
+        this.db = null;
+        this.memory = null;
+        this.nextId = 1;
+        this.opening = null;
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = LookStore.openDatabase(this.dbName)
+                .then(db => {
+                    this.db = db;
+                })
+                .catch(error => {
+                    console.warn('Looks will not be saved between visits:', error);
+                    this.memory = new Map();
+                });
+        }
+        return this.opening;
+    }
+
+    static openDatabase(name) {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(name, LookStore.DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(LookStore.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Resolves with the result of the request fn makes once the transaction
+    // has committed
+    transaction(mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(LookStore.STORE_NAME, mode);
+            const request = fn(tx.objectStore(LookStore.STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Saving looks was aborted'));
+        });
+    }
+
+    // Newest first
+    async getAll() {
+        await this.open();
+        const looks = this.memory
+            ? Array.from(this.memory.values())
+            : await this.transaction('readonly', store => store.getAll());
+        return looks.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async get(id) {
+        await this.open();
+        if (this.memory) return this.memory.get(id) || null;
+        return (await this.transaction('readonly', store => store.get(id))) || null;
+    }
+
+    // look is { image (Blob), frameId, variant, lensTint, settings }
+    async add(look) {
+        await this.open();
+        const record = Object.assign({ createdAt: Date.now(), favourite: false }, look);
+        if (this.memory) {
+            record.id = this.nextId++;
+            this.memory.set(record.id, record);
+        } else {
+            record.id = await this.transaction('readwrite', store => store.add(record));
+        }
+        await this.prune();
+        return record;
+    }
+
+    async update(id, changes) {
+        const look = await this.get(id);
+        if (!look) return null;
+
+        Object.assign(look, changes, { id });
+        if (this.memory) {
+            this.memory.set(id, look);
+        } else {
+            await this.transaction('readwrite', store => store.put(look));
+        }
+        return look;
+    }
+
+    async delete(id) {
+        await this.open();
+        if (this.memory) {
+            this.memory.delete(id);
+        } else {
+            await this.transaction('readwrite', store => store.delete(id));
+        }
+    }
+
+    // Photos are large, so only the newest maxLooks are kept. Favourites
+    // are never removed to make room.
+    async prune() {
+        const looks = await this.getAll();
+        const removable = looks.filter(look => !look.favourite).reverse();
+        for (let excess = looks.length - this.maxLooks; excess > 0 && removable.length > 0; excess--) {
+            await this.delete(removable.shift().id);
+        }
+    }
+}
+
+LookStore.DB_NAME = 'addsub-looks';
+LookStore.DB_VERSION = 1;
+LookStore.STORE_NAME = 'looks';
+LookStore.MAX_LOOKS = 24;
+
+// Strip of captured looks for the try-on page. Looks can be favourited,
+// deleted or opened on their product page, and two to four of them picked
+// for a side-by-side comparison that exports as a single collage.
+class LooksGallery {
+    constructor(options = {}) {
+        this.store = options.store || new LookStore();
+        this.catalogue = options.catalogue || null;
+
+        this.looks = [];
+        this.selected = new Set(); // look ids picked for comparison
+        this.imageUrls = new Map(); // look id -> object URL of its photo
+
+        this.container = null;
+        this.list = null;
+        this.emptyMessage = null;
+        this.compareBtn = null;
+        this.modal = null;
+        this.grid = null;
+    }
+
+    async mount(container) {
+        this.container = container;
+        container.innerHTML = `
+            <h3>Your Looks</h3>
+            <p class="looks-empty">Capture a photo to save a look. Pick two to four to compare them side by side.</p>
+            <div class="looks-list"></div>
+            <button type="button" class="action-btn secondary looks-compare-btn" disabled>Compare</button>`;
+        this.list = container.querySelector('.looks-list');
+        this.emptyMessage = container.querySelector('.looks-empty');
+        this.compareBtn = container.querySelector('.looks-compare-btn');
+        this.compareBtn.addEventListener('click', () => this.openComparison());
+
+        this.createComparisonModal();
+        await this.refresh();
+        return this;
+    }
+
+    createComparisonModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal compare-modal';
+        this.modal.style.display = 'none';
+        this.modal.innerHTML = `
+            <div class="modal-content">
+                <span class="close">&times;</span>
+                <h2>Compare Looks</h2>
+                <div class="compare-grid"></div>
+                <div class="modal-actions">
+                    <button type="button" class="action-btn primary compare-export-btn">Save Collage</button>
+                </div>
+            </div>`;
+        this.grid = this.modal.querySelector('.compare-grid');
+
+        this.modal.querySelector('.close').addEventListener('click', () => this.closeComparison());
+        this.modal.querySelector('.compare-export-btn').addEventListener('click', () => {
+            this.exportCollage().catch(error => {
+                console.error('Could not create the collage:', error);
+                alert('Sorry, the collage could not be created.');
+            });
+        });
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.closeComparison();
+        });
+        document.body.appendChild(this.modal);
+    }
+
+    // Frame names and product links come from the catalogue
+    setCatalogue(catalogue) {
+        this.catalogue = catalogue;
+        this.render();
+    }
+
+    async add(look) {
+        const record = await this.store.add(look);
+        await this.refresh();
+        return record;
+    }
+
+    async refresh() {
+        this.looks = await this.store.getAll();
+
+        // Forget looks that were deleted or pruned
+        const ids = new Set(this.looks.map(look => look.id));
+        this.selected.forEach(id => {
+            if (!ids.has(id)) this.selected.delete(id);
+        });
+        this.imageUrls.forEach((url, id) => {
+            if (!ids.has(id)) {
+                URL.revokeObjectURL(url);
+                this.imageUrls.delete(id);
+            }
+        });
+
+        this.render();
+        if (this.isComparing()) this.renderComparison();
+    }
+
+    getImageUrl(look) {
+        if (!this.imageUrls.has(look.id)) {
+            this.imageUrls.set(look.id, URL.createObjectURL(look.image));
+        }
+        return this.imageUrls.get(look.id);
+    }
+
+    getLabel(look) {
+        const frame = this.catalogue && this.catalogue.get(look.frameId);
+        const name = frame ? frame.name : look.frameId;
+        return look.variant ? `${name} - ${look.variant}` : name;
+    }
+
+    // Built-in styles have no product page
+    getProductUrl(look) {
+        if (!this.catalogue || !this.catalogue.get(look.frameId)) return null;
+        return this.catalogue.getProductUrl(look.frameId);
+    }
+
+    getDetails(look) {
+        const details = [];
+        const tint = look.lensTint && typeof LENS_TINTS !== 'undefined' && LENS_TINTS[look.lensTint];
+        if (tint) details.push(`${tint.label} lenses`);
+
+        const settings = look.settings || {};
+        if (settings.scale !== undefined) details.push(`Size ${settings.scale.toFixed(1)}`);
+        if (settings.width !== undefined) details.push(`Width ${settings.width.toFixed(1)}`);
+        if (settings.heightOffset) details.push(`Height ${settings.heightOffset}`);
+        return details.join(' · ');
+    }
+
+    render() {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+        this.looks.forEach(look => {
+            const item = document.createElement('div');
+            item.className = 'look-item';
+            item.classList.toggle('selected', this.selected.has(look.id));
+            item.classList.toggle('favourite', look.favourite);
+
+            const pick = document.createElement('button');
+            pick.type = 'button';
+            pick.className = 'look-pick';
+            pick.title = this.selected.has(look.id) ? 'Remove from comparison' : 'Add to comparison';
+            pick.innerHTML = `<img alt="">`;
+            pick.querySelector('img').src = this.getImageUrl(look);
+            pick.addEventListener('click', () => this.toggleSelected(look.id));
+            item.appendChild(pick);
+
+            const label = document.createElement('div');
+            label.className = 'look-label';
+            label.textContent = this.getLabel(look);
+            item.appendChild(label);
+
+            item.appendChild(this.createLookActions(look));
+            this.list.appendChild(item);
+        });
+
+        this.emptyMessage.style.display = this.looks.length === 0 ? '' : 'none';
+        const count = this.selected.size;
+        this.compareBtn.textContent = count > 0 ? `Compare (${count})` : 'Compare';
+        this.compareBtn.disabled = count < LooksGallery.MIN_COMPARE;
+    }
+
+    // Favourite, delete and product page link, shared by the strip and the grid
+    createLookActions(look) {
+        const actions = document.createElement('div');
+        actions.className = 'look-actions';
+
+        const favourite = document.createElement('button');
+        favourite.type = 'button';
+        favourite.className = 'look-favourite';
+        favourite.title = look.favourite ? 'Remove from favourites' : 'Add to favourites';
+        favourite.textContent = look.favourite ? '★' : '☆';
+        favourite.addEventListener('click', () => this.toggleFavourite(look.id));
+        actions.appendChild(favourite);
+
+        const productUrl = this.getProductUrl(look);
+        if (productUrl) {
+            const link = document.createElement('a');
+            link.className = 'look-product';
+            link.href = productUrl;
+            link.textContent = 'View frame';
+            actions.appendChild(link);
+        }
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'look-delete';
+        remove.title = 'Delete look';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => this.remove(look.id));
+        actions.appendChild(remove);
+
+        return actions;
+    }
+
+    toggleSelected(id) {
+        if (this.selected.has(id)) {
+            this.selected.delete(id);
+        } else if (this.selected.size < LooksGallery.MAX_COMPARE) {
+            this.selected.add(id);
+        }
+        this.render();
+    }
+
+    async toggleFavourite(id) {
+        const look = this.looks.find(item => item.id === id);
+        if (!look) return;
+        await this.store.update(id, { favourite: !look.favourite });
+        await this.refresh();
+    }
+
+    async remove(id) {
+        await this.store.delete(id);
+        await this.refresh();
+    }
+
+    // Selected looks, in gallery order
+    getComparedLooks() {
+        return this.looks.filter(look => this.selected.has(look.id));
+    }
+
+    isComparing() {
+        return Boolean(this.modal) && this.modal.style.display !== 'none';
+    }
+
+    openComparison() {
+        if (this.selected.size < LooksGallery.MIN_COMPARE) return;
+        this.modal.style.display = 'flex';
+        this.renderComparison();
+    }
+
+    closeComparison() {
+        this.modal.style.display = 'none';
+    }
+
+    renderComparison() {
+        const looks = this.getComparedLooks();
+        if (looks.length === 0) {
+            this.closeComparison();
+            return;
+        }
+
+        this.grid.innerHTML = '';
+        this.grid.dataset.count = looks.length;
+        looks.forEach(look => {
+            const item = document.createElement('figure');
+            item.className = 'compare-item';
+            item.innerHTML = `
+                <img alt="">
+                <figcaption>
+                    <strong class="compare-label"></strong>
+                    <span class="compare-details"></span>
+                </figcaption>`;
+            item.querySelector('img').src = this.getImageUrl(look);
+            item.querySelector('.compare-label').textContent = this.getLabel(look);
+            item.querySelector('.compare-details').textContent = this.getDetails(look);
+            item.appendChild(this.createLookActions(look));
+            this.grid.appendChild(item);
+        });
+    }
+
+    async exportCollage() {
+        const looks = this.getComparedLooks();
+        if (looks.length === 0) return;
+
+        const canvas = await LooksGallery.createCollage(looks.map(look => ({
+            url: this.getImageUrl(look),
+            label: this.getLabel(look)
+        })));
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error('The collage could not be encoded');
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `addsub-looks-${Date.now()}.png`;
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Looks side by side, two per row, each captioned with its frame.
+    // items is [{ url, label }]; cells take the first photo's aspect ratio
+    // and other photos are fitted inside them.
+    static async createCollage(items) {
+        const images = await Promise.all(items.map(item => LooksGallery.loadImage(item.url)));
+        const columns = Math.min(items.length, 2);
+        const rows = Math.ceil(items.length / columns);
+        const gap = LooksGallery.COLLAGE_GAP;
+        const cellWidth = LooksGallery.COLLAGE_CELL_WIDTH;
+        const photoHeight = Math.round(cellWidth * images[0].naturalHeight / images[0].naturalWidth);
+        const cellHeight = photoHeight + LooksGallery.COLLAGE_LABEL_HEIGHT;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = columns * cellWidth + (columns + 1) * gap;
+        canvas.height = rows * cellHeight + (rows + 1) * gap;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        images.forEach((image, index) => {
+            const x = gap + (index % columns) * (cellWidth + gap);
+            const y = gap + Math.floor(index / columns) * (cellHeight + gap);
+
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(x, y, cellWidth, photoHeight);
+            const scale = Math.min(cellWidth / image.naturalWidth, photoHeight / image.naturalHeight);
+            const width = image.naturalWidth * scale;
+            const height = image.naturalHeight * scale;
+            ctx.drawImage(image, x + (cellWidth - width) / 2, y + (photoHeight - height) / 2, width, height);
+
+            ctx.fillStyle = '#333333';
+            ctx.font = '600 24px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(items[index].label, x + cellWidth / 2, y + photoHeight + LooksGallery.COLLAGE_LABEL_HEIGHT / 2, cellWidth - 20);
+        });
+        return canvas;
+    }
+
+    static loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not load a look photo'));
+            image.src = url;
+        });
+    }
+
+    destroy() {
+        this.imageUrls.forEach(url => URL.revokeObjectURL(url));
+        this.imageUrls.clear();
+        if (this.modal) this.modal.remove();
+    }
+}
+
+LooksGallery.MIN_COMPARE = 2;
+LooksGallery.MAX_COMPARE = 4;
+LooksGallery.COLLAGE_CELL_WIDTH = 640;
+LooksGallery.COLLAGE_GAP = 16;
+LooksGallery.COLLAGE_LABEL_HEIGHT = 56;
@@ -0,0 +1,139 @@
+// Pupillary distance measurement from FaceTracker results
+class PupillaryDistanceMeter {
+    constructor(options = {}) {
+        this.sampleCount = options.sampleCount || 30;
+        this.stableSpreadMm = options.stableSpreadMm || 0.5;
+        this.maxYaw = options.maxYaw || 10 * Math.PI / 180;
+        this.maxPitch = options.maxPitch || 15 * Math.PI / 180;
+        this.calibration = { method: 'iris' };
+        this.samples = [];
+    }
+
+    // Scale from the iris diameter in every frame (default)
+    calibrateWithIris() {
+        this.calibration = { method: 'iris' };
+        this.reset();
+    }
+
+    // Scale from a standard ID-1 card (bank card) held flat against the
+    // forehead, roughly in the plane of the eyes. cardWidthPx is the card's
+    // width in image pixels, as matched by the user with the on-screen guide.
+    calibrateWithCard(cardWidthPx) {
+        if (!(cardWidthPx > 0)) {
+            throw new Error('Card width must be a positive number of pixels');
+        }
+        this.calibration = {
+            method: 'card',
+            mmPerPixel: PupillaryDistanceMeter.CARD_WIDTH_MM / cardWidthPx
+        };
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    // Takes one processed FaceTracker result. Frames where the head is turned
+    // or the scale is unknown are skipped. Returns the current measurement.
+    addSample(faceResult, imageWidth, imageHeight) {
+        const sample = this.measureFrame(faceResult, imageWidth, imageHeight);
+        if (sample) {
+            this.samples.push(sample);
+            if (this.samples.length > this.sampleCount) {
+                this.samples.shift();
+            }
+        }
+        return this.getResult();
+    }
+
+    measureFrame(faceResult, imageWidth, imageHeight) {
+        if (!faceResult || !faceResult.landmarks) return null;
+
+        const landmarks = faceResult.landmarks;
+        // Pupil centres only exist in the refined landmark set
+        if (landmarks.length < 478 || !landmarks[168]) return null;
+
+        const pose = faceResult.headPose;
+        if (pose && (Math.abs(pose.yaw) > this.maxYaw || Math.abs(pose.pitch) > this.maxPitch)) {
+            return null;
+        }
+
+        const mmPerPixel = this.calibration.method === 'card'
+            ? this.calibration.mmPerPixel
+            : faceResult.iris && faceResult.iris.mmPerPixel;
+        if (!mmPerPixel) return null;
+
+        const toPixels = (landmark) => ({
+            x: landmark.x * imageWidth,
+            y: landmark.y * imageHeight
+        });
+
+        // 468 is the pupil on the image's left, which is the wearer's right
+        // eye (OD) in an unmirrored camera frame
+        const rightPupil = toPixels(landmarks[468]);
+        const leftPupil = toPixels(landmarks[473]);
+        const bridge = toPixels(landmarks[168]);
+
+        const dx = leftPupil.x - rightPupil.x;
+        const dy = leftPupil.y - rightPupil.y;
+        const nearPdPx = Math.hypot(dx, dy);
+        if (nearPdPx === 0) return null;
+
+        // Monocular PDs are measured to the nose bridge along the pupil line
+        const ux = dx / nearPdPx;
+        const uy = dy / nearPdPx;
+        const rightPx = Math.abs((bridge.x - rightPupil.x) * ux + (bridge.y - rightPupil.y) * uy);
+        const leftPx = Math.abs((leftPupil.x - bridge.x) * ux + (leftPupil.y - bridge.y) * uy);
+
+        // The eyes converge on the camera; scale back to the distance PD the
+        // pupils would have looking at infinity
+        const distanceMm = faceResult.iris && faceResult.iris.distanceMm;
+        const convergence = distanceMm
+            ? (distanceMm + PupillaryDistanceMeter.EYE_ROTATION_RADIUS_MM) / distanceMm
+            : 1;
+
+        return {
+            nearPd: nearPdPx * mmPerPixel,
+            pd: nearPdPx * mmPerPixel * convergence,
+            rightPd: rightPx * mmPerPixel * convergence,
+            leftPd: leftPx * mmPerPixel * convergence
+        };
+    }
+
+    getResult() {
+        const count = this.samples.length;
+        if (count === 0) {
+            return { progress: 0, stable: false, pd: null, rightPd: null, leftPd: null, nearPd: null, spread: null };
+        }
+
+        const pick = (key) => this.samples.map(sample => sample[key]);
+        const pds = pick('pd');
+        const mean = pds.reduce((sum, value) => sum + value, 0) / count;
+        const spread = Math.sqrt(pds.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count);
+        const progress = Math.min(1, count / this.sampleCount);
+
+        return {
+            pd: PupillaryDistanceMeter.median(pds),
+            rightPd: PupillaryDistanceMeter.median(pick('rightPd')),
+            leftPd: PupillaryDistanceMeter.median(pick('leftPd')),
+            nearPd: PupillaryDistanceMeter.median(pick('nearPd')),
+            spread: spread,
+            progress: progress,
+            stable: progress === 1 && spread <= this.stableSpreadMm
+        };
+    }
+
+    static median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2
+            ? sorted[middle]
+            : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+// ISO/IEC 7810 ID-1 card width
+PupillaryDistanceMeter.CARD_WIDTH_MM = 85.6;
+
+// Distance from the front of the cornea to the eye's centre of rotation
+PupillaryDistanceMeter.EYE_ROTATION_RADIUS_MM = 13.5;
@@ -0,0 +1,192 @@
+// Fine-tuning for the flat photo try-on. TryOnEngine fits the frame to the
+// face in the photo; this adds handles to drag, pinch, resize and rotate it.
+class PhotoTryOn {
+    constructor(options) {
+        this.engine = options.engine;
+        this.onStatus = options.onStatus || null;
+        this.faceId = 0;
+        this.pointers = new Map();
+        this.gesture = null;
+
+        // Keep the handles on the frame whenever the engine redraws
+        this.engine.onRender = () => this.render();
+
+        this.build();
+    }
+
+    build() {
+        this.frame = document.createElement('div');
+        this.frame.className = 'photo-try-on-frame';
+        this.frame.innerHTML = `
+            <span class="photo-try-on-handle photo-try-on-rotate" data-handle="rotate" title="Drag to rotate"></span>
+            <span class="photo-try-on-handle photo-try-on-resize" data-handle="resize" title="Drag to resize"></span>`;
+        this.engine.container.appendChild(this.frame);
+
+        this.frame.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.frame.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.frame.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.frame.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+    }
+
+    // Shows the photo and lines the frame up with the face in it. Without
+    // exactly one face the frame starts centred for manual placement.
+    async placeOnFace(photo) {
+        this.faceId = 0;
+        this.setStatus('Finding your face...', 'busy');
+
+        let faces;
+        try {
+            faces = await this.engine.setSource({ type: 'image', image: photo });
+        } catch (error) {
+            console.error('Face detection failed:', error);
+            this.placeManually();
+            this.setStatus('Face detection is not available right now. Drag the frame into place instead.', 'error');
+            return false;
+        }
+
+        if (faces.length === 0) {
+            this.placeManually();
+            this.setStatus('We could not find a face in this photo. Try a well-lit, front-facing photo, or drag the frame into place.', 'error');
+            return false;
+        }
+
+        // The engine fits the largest face
+        this.faceId = this.engine.faces[0].id;
+        this.render();
+        if (faces.length > 1) {
+            this.setStatus(`We found ${faces.length} faces in this photo. Please upload a photo with only you in it, or drag the frame into place.`, 'error');
+            return false;
+        }
+        this.setStatus('Frame placed on your face. Drag, pinch or use the handles to adjust.', 'success');
+        return true;
+    }
+
+    placeManually() {
+        if (!this.engine.getPlacement(this.faceId)) {
+            this.engine.setPlacement(this.faceId, TryOnEngine.defaultPlacement());
+        }
+    }
+
+    // Back to the fitted position after manual changes
+    resetPlacement() {
+        this.engine.resetPlacement(this.faceId);
+        this.placeManually();
+    }
+
+    render() {
+        const box = this.engine.getFrameBox(this.faceId);
+        if (!box) {
+            this.frame.style.display = 'none';
+            return;
+        }
+
+        this.frame.style.display = 'block';
+        this.frame.style.left = `${box.x}px`;
+        this.frame.style.top = `${box.y}px`;
+        this.frame.style.width = `${box.width}px`;
+        this.frame.style.height = `${box.height}px`;
+        this.frame.style.transform = `translate(-50%, -50%) rotate(${box.angle}rad)`;
+    }
+
+    // Frame centre in viewport pixels
+    getCentre() {
+        const rect = this.engine.image.getBoundingClientRect();
+        const placement = this.engine.getPlacement(this.faceId);
+        return {
+            x: rect.left + placement.x * rect.width,
+            y: rect.top + placement.y * rect.height
+        };
+    }
+
+    onPointerDown(e) {
+        const placement = this.engine.getPlacement(this.faceId);
+        if (!placement) return;
+
+        e.preventDefault();
+        this.frame.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const handle = e.target.dataset.handle;
+        if (this.pointers.size === 2) {
+            this.gesture = this.startPinch(placement);
+        } else if (handle) {
+            this.gesture = this.startHandle(handle, placement, e);
+        } else {
+            this.gesture = { type: 'drag', start: { x: e.clientX, y: e.clientY }, placement: placement };
+        }
+    }
+
+    onPointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const gesture = this.gesture;
+        const start = gesture.placement;
+        const placement = Object.assign({}, start);
+
+        if (gesture.type === 'drag') {
+            const rect = this.engine.image.getBoundingClientRect();
+            placement.x = PhotoTryOn.clamp(start.x + (e.clientX - gesture.start.x) / rect.width, 0, 1);
+            placement.y = PhotoTryOn.clamp(start.y + (e.clientY - gesture.start.y) / rect.height, 0, 1);
+        } else if (gesture.type === 'resize') {
+            const centre = this.getCentre();
+            const distance = Math.hypot(e.clientX - centre.x, e.clientY - centre.y);
+            placement.width = PhotoTryOn.clampWidth(start.width * distance / gesture.distance);
+        } else if (gesture.type === 'rotate') {
+            const centre = this.getCentre();
+            placement.angle = start.angle + Math.atan2(e.clientY - centre.y, e.clientX - centre.x) - gesture.angle;
+        } else if (gesture.type === 'pinch') {
+            const [a, b] = Array.from(this.pointers.values());
+            placement.width = PhotoTryOn.clampWidth(start.width * Math.hypot(b.x - a.x, b.y - a.y) / gesture.distance);
+            placement.angle = start.angle + Math.atan2(b.y - a.y, b.x - a.x) - gesture.angle;
+        }
+        this.engine.setPlacement(this.faceId, placement);
+    }
+
+    onPointerUp(e) {
+        this.pointers.delete(e.pointerId);
+        // Lifting one finger of a pinch carries on as a drag with the other
+        if (this.pointers.size === 1) {
+            const [remaining] = Array.from(this.pointers.values());
+            this.gesture = { type: 'drag', start: remaining, placement: this.engine.getPlacement(this.faceId) };
+        } else if (this.pointers.size === 0) {
+            this.gesture = null;
+        }
+    }
+
+    startHandle(handle, placement, e) {
+        const centre = this.getCentre();
+        return {
+            type: handle,
+            placement: placement,
+            distance: Math.max(1, Math.hypot(e.clientX - centre.x, e.clientY - centre.y)),
+            angle: Math.atan2(e.clientY - centre.y, e.clientX - centre.x)
+        };
+    }
+
+    startPinch(placement) {
+        const [a, b] = Array.from(this.pointers.values());
+        return {
+            type: 'pinch',
+            placement: placement,
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            angle: Math.atan2(b.y - a.y, b.x - a.x)
+        };
+    }
+
+    setStatus(message, type) {
+        if (this.onStatus) this.onStatus(message, type);
+    }
+
+    static clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    static clampWidth(width) {
+        return PhotoTryOn.clamp(width, PhotoTryOn.MIN_WIDTH, PhotoTryOn.MAX_WIDTH);
+    }
+}
+
+// Frame width limits, as fractions of the photo width
+PhotoTryOn.MIN_WIDTH = 0.05;
+PhotoTryOn.MAX_WIDTH = 1.5;
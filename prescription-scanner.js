@@ -0,0 +1,452 @@
+// Reads SPH/CYL/AXIS/ADD and PD from a photo of a paper prescription.
+// OCR runs in the browser with the Tesseract build and English model that
+// scripts/vendor.js copies under vendor/tesseract/, so the photo never
+// leaves the device:
+//   vendor/tesseract/tesseract.min.js
+//   vendor/tesseract/worker.min.js
+//   vendor/tesseract/core/      (tesseract-core wasm builds)
+//   vendor/tesseract/lang/eng.traineddata.gz
+class PrescriptionScanner {
+    constructor(options = {}) {
+        this.basePath = options.basePath || PrescriptionScanner.BASE_PATH;
+        this.language = options.language || 'eng';
+        this.minConfidence = options.minConfidence || PrescriptionScanner.MIN_CONFIDENCE;
+        this.worker = null;
+        this.loading = null;
+        this.onProgress = null;
+    }
+
+    // Starts the OCR worker once; later scans reuse it
+    load() {
+        if (!this.loading) {
+            this.loading = PrescriptionScanner.loadScript(`${this.basePath}tesseract.min.js`)
+                .then(() => Tesseract.createWorker(this.language, 1, {
+                    workerPath: `${this.basePath}worker.min.js`,
+                    corePath: `${this.basePath}core/`,
+                    langPath: `${this.basePath}lang/`,
+                    workerBlobURL: false,
+                    logger: (message) => {
+                        if (this.onProgress && message.status === 'recognizing text') {
+                            this.onProgress(message.progress);
+                        }
+                    }
+                }))
+                .then(async (worker) => {
+                    // Prescriptions are small tables: read them as one block
+                    // so each eye's values stay on one line
+                    await worker.setParameters({
+                        tessedit_pageseg_mode: '6',
+                        preserve_interword_spaces: '1'
+                    });
+                    this.worker = worker;
+                    return worker;
+                })
+                .catch(error => {
+                    // Let a later scan try again
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    }
+
+    // Takes an image File or Blob; resolves to the values parse() finds
+    async scan(file, onProgress = null) {
+        const image = await PrescriptionScanner.prepareImage(file);
+        const worker = await this.load();
+
+        this.onProgress = onProgress;
+        try {
+            const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+            return PrescriptionScanner.parse(PrescriptionScanner.getLines(data), {
+                minConfidence: this.minConfidence
+            });
+        } finally {
+            this.onProgress = null;
+        }
+    }
+
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+        }
+        this.worker = null;
+        this.loading = null;
+    }
+
+    static loadScript(url) {
+        return new Promise((resolve, reject) => {
+            if (typeof Tesseract !== 'undefined') {
+                resolve();
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Could not load ${url}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    // Greyscale, contrast-stretched copy at a size OCR handles well. Phone
+    // photos are shrunk, small scans are enlarged.
+    static async prepareImage(file) {
+        const bitmap = await createImageBitmap(file);
+        const longest = Math.max(bitmap.width, bitmap.height);
+        const scale = Math.min(2, PrescriptionScanner.MAX_IMAGE_SIZE / longest);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        if (bitmap.close) bitmap.close();
+
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const pixels = image.data;
+        let darkest = 255;
+        let brightest = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            const luma = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+            pixels[i] = luma;
+            darkest = Math.min(darkest, luma);
+            brightest = Math.max(brightest, luma);
+        }
+        const range = Math.max(1, brightest - darkest);
+        for (let i = 0; i < pixels.length; i += 4) {
+            const value = (pixels[i] - darkest) * 255 / range;
+            pixels[i] = pixels[i + 1] = pixels[i + 2] = value;
+        }
+        ctx.putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    // Tesseract 5 returns lines directly; newer builds nest them in blocks
+    static getLines(data) {
+        if (Array.isArray(data.lines) && data.lines.length > 0) return data.lines;
+
+        const lines = [];
+        (data.blocks || []).forEach(block => {
+            (block.paragraphs || []).forEach(paragraph => lines.push(...paragraph.lines));
+        });
+        return lines.length > 0 ? lines : PrescriptionScanner.linesFromText(data.text || '');
+    }
+
+    // Plain text as OCR lines, for text without word positions or confidence
+    static linesFromText(text) {
+        return text.split(/\r?\n/).map(line => ({
+            words: line.split(/\s+/).filter(Boolean).map(word => ({ text: word, confidence: 100, bbox: null }))
+        }));
+    }
+
+    // Finds the values in OCR lines. A header row (SPH CYL AXIS ADD) gives
+    // the column order, and the column positions when words have boxes.
+    // Returns values in dioptres/mm (null when not found) and the fields
+    // whose reading is doubtful: low OCR confidence, look-alike characters
+    // or values that had to be corrected.
+    static parse(lines, options = {}) {
+        const minConfidence = options.minConfidence || PrescriptionScanner.MIN_CONFIDENCE;
+        const eye = () => ({ sph: null, cyl: null, axis: null, add: null });
+        const prescription = { od: eye(), os: eye() };
+        const pd = { binocular: null, right: null, left: null };
+        const uncertain = new Set();
+        let columns = null;
+
+        const set = (target, key, field, reading) => {
+            if (!reading || target[key] !== null) return;
+            target[key] = reading.value;
+            if (reading.doubtful || reading.confidence < minConfidence) {
+                uncertain.add(field);
+            }
+        };
+
+        lines.forEach(line => {
+            const words = (line.words || [])
+                .map(word => ({
+                    text: (word.text || '').trim(),
+                    confidence: typeof word.confidence === 'number' ? word.confidence : 100,
+                    bbox: word.bbox || null
+                }))
+                .filter(word => word.text);
+            if (words.length === 0) return;
+
+            const header = PrescriptionScanner.readHeader(words);
+            if (header) {
+                columns = header;
+                return;
+            }
+
+            const side = PrescriptionScanner.readEye(words[0].text);
+            if (side) {
+                const row = PrescriptionScanner.readRow(words.slice(1), columns);
+                ['sph', 'cyl', 'axis', 'add'].forEach(key => {
+                    set(prescription[side], key, `${side}.${key}`, row[key]);
+                });
+                set(pd, side === 'od' ? 'right' : 'left', side === 'od' ? 'pd.right' : 'pd.left', row.pd);
+                return;
+            }
+
+            const label = PrescriptionScanner.readLabel(words[0].text);
+            if (label === 'add') {
+                // One ADD for both eyes
+                const token = words.slice(1).map(word => PrescriptionScanner.readToken(word)).find(Boolean);
+                const reading = token && PrescriptionScanner.readPower(token, 'add');
+                set(prescription.od, 'add', 'od.add', reading);
+                set(prescription.os, 'add', 'os.add', reading);
+            } else if (label === 'pd') {
+                PrescriptionScanner.readPdLine(words.slice(1)).forEach(({ key, reading }) => {
+                    set(pd, key, key === 'binocular' ? 'pd.value' : `pd.${key}`, reading);
+                });
+            }
+        });
+
+        // Axis means nothing without cylinder power
+        ['od', 'os'].forEach(side => {
+            if (prescription[side].cyl === 0) {
+                prescription[side].axis = null;
+                uncertain.delete(`${side}.axis`);
+            }
+        });
+
+        if (pd.binocular === null && pd.right !== null && pd.left !== null) {
+            pd.binocular = Math.round((pd.right + pd.left) * 10) / 10;
+        }
+
+        const hasPd = pd.binocular !== null || pd.right !== null || pd.left !== null;
+        const found = hasPd || ['od', 'os'].some(side => {
+            return Object.values(prescription[side]).some(value => value !== null);
+        });
+
+        return {
+            found,
+            prescription,
+            pd: hasPd ? pd : null,
+            uncertain: Array.from(uncertain)
+        };
+    }
+
+    // The header's columns, in order, with their x-centres when known
+    static readHeader(words) {
+        const columns = [];
+        words.forEach(word => {
+            const field = PrescriptionScanner.readLabel(word.text);
+            if (field && !columns.some(column => column.field === field)) {
+                columns.push({ field, x: PrescriptionScanner.centre(word) });
+            }
+        });
+        return columns.length >= 2 ? columns : null;
+    }
+
+    static readLabel(text) {
+        const label = text.toUpperCase().replace(/[^A-Z]/g, '');
+        return PrescriptionScanner.HEADER_WORDS[label] || null;
+    }
+
+    // 'od' or 'os' for row labels like OD, R, RE, Right (OCR often reads O as 0)
+    static readEye(text) {
+        const label = text.toUpperCase().replace(/0/g, 'O').replace(/[^A-Z]/g, '');
+        if (PrescriptionScanner.RIGHT_LABELS.includes(label)) return 'od';
+        if (PrescriptionScanner.LEFT_LABELS.includes(label)) return 'os';
+        return null;
+    }
+
+    static centre(word) {
+        return word.bbox ? (word.bbox.x0 + word.bbox.x1) / 2 : null;
+    }
+
+    // Values after an eye label. Words are matched to the nearest header
+    // column when positions are known, otherwise by what they look like:
+    // x-prefixed or whole numbers are axes, signed or decimal numbers are
+    // powers in column order.
+    static readRow(words, columns) {
+        const row = {};
+        const powerFields = (columns || [])
+            .map(column => column.field)
+            .filter(field => field === 'sph' || field === 'cyl' || field === 'add');
+        const powerOrder = powerFields.length > 0 ? powerFields : ['sph', 'cyl', 'add'];
+        const positioned = columns && columns.every(column => column.x !== null);
+        let nextPower = 0;
+
+        words.forEach(word => {
+            PrescriptionScanner.splitValues(word).forEach(part => {
+                const token = PrescriptionScanner.readToken(part);
+                if (!token) return;
+
+                let field = null;
+                if (token.sphereOnly) {
+                    field = 'cyl';
+                } else if (token.axisMark) {
+                    field = 'axis';
+                } else if (positioned && part.bbox) {
+                    field = PrescriptionScanner.nearestColumn(columns, PrescriptionScanner.centre(part));
+                } else if (!token.signed && !token.decimal && token.value <= 180) {
+                    field = 'axis';
+                } else if (!token.signed && token.value >= PrescriptionScanner.MONOCULAR_PD.min) {
+                    field = 'pd';
+                } else {
+                    while (nextPower < powerOrder.length && row[powerOrder[nextPower]]) nextPower++;
+                    field = powerOrder[nextPower] || null;
+                }
+                if (!field || row[field]) return;
+
+                if (field === 'axis') {
+                    row.axis = PrescriptionScanner.readAxis(token);
+                } else if (field === 'pd') {
+                    row.pd = PrescriptionScanner.readPd(token, PrescriptionScanner.MONOCULAR_PD);
+                } else {
+                    row[field] = PrescriptionScanner.readPower(token, field);
+                }
+            });
+        });
+        return row;
+    }
+
+    // "-1.75x180" and "-1.50/-0.50" arrive as one word
+    static splitValues(word) {
+        const parts = word.text.split(/(?=[xX×@])|\//).filter(Boolean);
+        return parts.map(text => ({ text, confidence: word.confidence, bbox: parts.length > 1 ? null : word.bbox }));
+    }
+
+    static nearestColumn(columns, x) {
+        let nearest = null;
+        columns.forEach(column => {
+            if (!nearest || Math.abs(column.x - x) < Math.abs(nearest.x - x)) {
+                nearest = column;
+            }
+        });
+        return nearest.field;
+    }
+
+    // PD 63, PD 31.5/32 or PD R 31.5 L 32
+    static readPdLine(words) {
+        const readings = [];
+        let side = null;
+        words.forEach(word => {
+            word.text.split('/').filter(Boolean).forEach(text => {
+                const eye = PrescriptionScanner.readEye(text);
+                if (eye) {
+                    side = eye === 'od' ? 'right' : 'left';
+                    return;
+                }
+                const token = PrescriptionScanner.readToken({ text, confidence: word.confidence });
+                if (!token) return;
+
+                if (token.value >= PrescriptionScanner.BINOCULAR_PD.min) {
+                    readings.push({ key: 'binocular', reading: PrescriptionScanner.readPd(token, PrescriptionScanner.BINOCULAR_PD) });
+                } else {
+                    // Unlabelled monocular values are written right then left
+                    const key = side || (readings.some(item => item.key === 'right') ? 'left' : 'right');
+                    readings.push({ key, reading: PrescriptionScanner.readPd(token, PrescriptionScanner.MONOCULAR_PD) });
+                    side = null;
+                }
+            });
+        });
+        return readings;
+    }
+
+    // One number as written, after undoing common OCR look-alikes
+    static readToken(word) {
+        let text = word.text.replace(/[−–—]/g, '-').replace(/,/g, '.').replace(/[:;]+$/, '');
+        const confidence = typeof word.confidence === 'number' ? word.confidence : 100;
+        const label = text.toUpperCase().replace(/[^A-Z]/g, '');
+
+        if (PrescriptionScanner.PLANO_WORDS.includes(label)) {
+            return { value: 0, signed: true, decimal: true, confidence, corrected: false };
+        }
+        if (PrescriptionScanner.SPHERE_ONLY_WORDS.includes(label)) {
+            return { value: 0, signed: true, decimal: true, confidence, corrected: false, sphereOnly: true };
+        }
+
+        const axisMark = /^[xX×@]/.test(text);
+        if (axisMark) text = text.slice(1);
+
+        // Only fix letters in something that is already mostly a number
+        if (!/\d/.test(text)) return null;
+        const fixed = text.replace(/[Oo]/g, '0').replace(/[lI|]/g, '1').replace(/S/g, '5').replace(/B/g, '8');
+        if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(fixed)) return null;
+
+        return {
+            value: Math.abs(parseFloat(fixed)) * (fixed.charAt(0) === '-' ? -1 : 1),
+            signed: /^[+-]/.test(fixed),
+            decimal: fixed.includes('.'),
+            digits: fixed.replace(/\D/g, ''),
+            confidence,
+            corrected: fixed !== text,
+            axisMark
+        };
+    }
+
+    // Powers come in 0.25 D steps and always carry a sign on a prescription
+    static readPower(token, field) {
+        let value = token.value;
+        let doubtful = token.corrected;
+
+        // A lost decimal point: -225 for -2.25
+        if (!token.decimal && Math.abs(value) >= 25) {
+            value = value / 100;
+            doubtful = true;
+        }
+
+        const range = PrescriptionScanner.POWER_RANGES[field];
+        const stepped = Math.round(value * 4) / 4;
+        if (Math.abs(stepped - value) > 1e-6) doubtful = true;
+        if (stepped < range.min || stepped > range.max) {
+            return { value: null, confidence: token.confidence, doubtful: true };
+        }
+        // ADD is always positive, so it is often written without a sign
+        if (!token.signed && stepped !== 0 && field !== 'add') doubtful = true;
+
+        return { value: stepped, confidence: token.confidence, doubtful };
+    }
+
+    static readAxis(token) {
+        const value = Math.round(Math.abs(token.value));
+        if (token.decimal || value > 180) {
+            return { value: null, confidence: token.confidence, doubtful: true };
+        }
+        // 0 and 180 are the same meridian; the order form wants 1-180
+        return { value: value === 0 ? 180 : value, confidence: token.confidence, doubtful: token.corrected };
+    }
+
+    static readPd(token, range) {
+        const value = Math.round(Math.abs(token.value) * 2) / 2;
+        if (value < range.min || value > range.max) {
+            return { value: null, confidence: token.confidence, doubtful: true };
+        }
+        return { value, confidence: token.confidence, doubtful: token.corrected || value !== Math.abs(token.value) };
+    }
+}
+
+PrescriptionScanner.BASE_PATH = 'vendor/tesseract/';
+PrescriptionScanner.MAX_IMAGE_SIZE = 2000;
+// Tesseract word confidence, 0-100
+PrescriptionScanner.MIN_CONFIDENCE = 75;
+
+PrescriptionScanner.HEADER_WORDS = {
+    SPH: 'sph',
+    SPHERE: 'sph',
+    SPHERICAL: 'sph',
+    CYL: 'cyl',
+    CYLINDER: 'cyl',
+    CYLINDRICAL: 'cyl',
+    AXIS: 'axis',
+    AX: 'axis',
+    AXS: 'axis',
+    ADD: 'add',
+    ADDITION: 'add',
+    PD: 'pd',
+    IPD: 'pd'
+};
+
+PrescriptionScanner.RIGHT_LABELS = ['OD', 'R', 'RE', 'RT', 'RIGHT', 'RIGHTEYE'];
+PrescriptionScanner.LEFT_LABELS = ['OS', 'L', 'LE', 'LT', 'LEFT', 'LEFTEYE'];
+PrescriptionScanner.PLANO_WORDS = ['PL', 'PLANO', 'PLAN'];
+PrescriptionScanner.SPHERE_ONLY_WORDS = ['DS', 'SPH', 'DSPH'];
+
+PrescriptionScanner.POWER_RANGES = {
+    sph: { min: -20, max: 20 },
+    cyl: { min: -6, max: 6 },
+    add: { min: 0.75, max: 3.5 }
+};
+PrescriptionScanner.BINOCULAR_PD = { min: 50, max: 80 };
+PrescriptionScanner.MONOCULAR_PD = { min: 25, max: 40 };
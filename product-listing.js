@@ -0,0 +1,230 @@
+// Client-side filtering, sorting and paging of catalogue frames for the
+// product grid. The listing state round-trips through the query string,
+// so filtered views can be shared and survive reloads.
+class ProductListing {
+    constructor(frames, options = {}) {
+        this.frames = frames;
+        this.pageSize = options.pageSize || 12;
+        this.state = ProductListing.emptyState();
+    }
+
+    static emptyState() {
+        const filters = {};
+        Object.keys(ProductListing.FACETS).forEach(facet => {
+            filters[facet] = [];
+        });
+        return { filters, sort: 'featured', page: 1 };
+    }
+
+    // Any change to filters or sorting starts again from the first page
+    setFilter(facet, values) {
+        if (!ProductListing.FACETS[facet]) {
+            throw new Error(`Unknown facet: ${facet}`);
+        }
+        this.state.filters[facet] = values.slice();
+        this.state.page = 1;
+    }
+
+    toggleFilter(facet, value) {
+        const values = this.state.filters[facet] || [];
+        this.setFilter(facet, values.includes(value)
+            ? values.filter(item => item !== value)
+            : values.concat(value));
+    }
+
+    clearFilters() {
+        this.state = Object.assign(ProductListing.emptyState(), { sort: this.state.sort });
+    }
+
+    setSort(sort) {
+        if (!ProductListing.SORTS[sort]) {
+            throw new Error(`Unknown sort order: ${sort}`);
+        }
+        this.state.sort = sort;
+        this.state.page = 1;
+    }
+
+    nextPage() {
+        if (this.state.page < this.getPageCount()) {
+            this.state.page++;
+        }
+    }
+
+    hasActiveFilters() {
+        return Object.values(this.state.filters).some(values => values.length > 0);
+    }
+
+    // Values match within a facet with OR, and facets combine with AND.
+    // skipFacet leaves one facet out, for counting that facet's options.
+    getMatches(skipFacet = null) {
+        return this.frames.filter(frame => {
+            return Object.entries(this.state.filters).every(([facet, values]) => {
+                if (facet === skipFacet || values.length === 0) return true;
+                const frameValues = ProductListing.FACETS[facet].values(frame);
+                return values.some(value => frameValues.includes(value));
+            });
+        });
+    }
+
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.getMatches().length / this.pageSize));
+    }
+
+    // Every page up to the current one, as the grid scrolls
+    getResults() {
+        const matches = this.getMatches();
+        const compare = ProductListing.SORTS[this.state.sort].compare;
+        const sorted = compare
+            ? matches.slice().sort(compare)
+            : matches;
+
+        return {
+            items: sorted.slice(0, this.state.page * this.pageSize),
+            total: matches.length,
+            page: this.state.page,
+            pageCount: Math.max(1, Math.ceil(matches.length / this.pageSize))
+        };
+    }
+
+    // Options for each facet with the number of frames each would show,
+    // given the filters on the other facets
+    getFacetOptions(facet) {
+        const definition = ProductListing.FACETS[facet];
+        const counts = new Map();
+
+        this.getMatches(facet).forEach(frame => {
+            new Set(definition.values(frame)).forEach(value => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+
+        // Keep selected options visible even when nothing matches them now
+        this.state.filters[facet].forEach(value => {
+            if (!counts.has(value)) counts.set(value, 0);
+        });
+
+        const order = definition.order || Array.from(counts.keys()).sort();
+        return order
+            .filter(value => counts.has(value))
+            .map(value => ({
+                value,
+                label: definition.label ? definition.label(value) : ProductListing.titleCase(value),
+                count: counts.get(value),
+                selected: this.state.filters[facet].includes(value)
+            }));
+    }
+
+    // Values a facet can take: its fixed order, or whatever the frames have
+    getKnownValues(facet) {
+        const definition = ProductListing.FACETS[facet];
+        if (definition.order) return new Set(definition.order);
+
+        const known = new Set();
+        this.frames.forEach(frame => {
+            definition.values(frame).forEach(value => known.add(value));
+        });
+        return known;
+    }
+
+    toQueryString() {
+        const params = new URLSearchParams();
+        Object.entries(this.state.filters).forEach(([facet, values]) => {
+            if (values.length > 0) params.set(facet, values.join(','));
+        });
+        if (this.state.sort !== 'featured') params.set('sort', this.state.sort);
+        if (this.state.page > 1) params.set('page', this.state.page);
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    // Unknown facets, values and sort orders in the URL are ignored
+    loadQueryString(search) {
+        const params = new URLSearchParams(search);
+        const state = ProductListing.emptyState();
+
+        Object.keys(state.filters).forEach(facet => {
+            const value = params.get(facet);
+            if (!value) return;
+            // A value nobody can see or untick would silently empty the grid
+            const known = this.getKnownValues(facet);
+            state.filters[facet] = value.split(',').filter(item => known.has(item));
+        });
+
+        const sort = params.get('sort');
+        if (sort && ProductListing.SORTS[sort]) state.sort = sort;
+
+        const page = parseInt(params.get('page'), 10);
+        if (page > 1) state.page = page;
+
+        this.state = state;
+        this.state.page = Math.min(this.state.page, this.getPageCount());
+    }
+
+    static priceBand(price) {
+        const band = ProductListing.PRICE_BANDS.find(item => price >= item.min && price < item.max);
+        return band ? band.value : null;
+    }
+
+    static titleCase(value) {
+        return value.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+}
+
+ProductListing.PRICE_BANDS = [
+    { value: '0-2000', label: 'Under ₹2,000', min: 0, max: 2000 },
+    { value: '2000-3000', label: '₹2,000 - ₹3,000', min: 2000, max: 3000 },
+    { value: '3000-4000', label: '₹3,000 - ₹4,000', min: 3000, max: 4000 },
+    { value: '4000-', label: 'Over ₹4,000', min: 4000, max: Infinity }
+];
+
+// Each facet lists the values a frame has for it
+ProductListing.FACETS = {
+    category: {
+        title: 'Category',
+        values: frame => [frame.category]
+    },
+    tag: {
+        title: 'Lens',
+        values: frame => frame.tags,
+        label: value => ({ premium: 'Premium Lenses', 'blue-cut': 'Blue Cut' })[value] || ProductListing.titleCase(value)
+    },
+    shape: {
+        title: 'Frame Shape',
+        values: frame => [frame.shape]
+    },
+    material: {
+        title: 'Material',
+        values: frame => [frame.material]
+    },
+    colour: {
+        title: 'Colour',
+        values: frame => frame.colours.map(colour => colour.family || colour.name.toLowerCase())
+    },
+    price: {
+        title: 'Price',
+        values: frame => [ProductListing.priceBand(frame.price)],
+        order: ProductListing.PRICE_BANDS.map(band => band.value),
+        label: value => ProductListing.PRICE_BANDS.find(band => band.value === value).label
+    },
+    gender: {
+        title: 'Gender',
+        values: frame => [frame.gender],
+        order: ['men', 'women', 'unisex', 'kids']
+    },
+    size: {
+        title: 'Size',
+        values: frame => frame.sizes.map(size => size.label),
+        order: ['Small', 'Medium', 'Large'],
+        label: value => value
+    }
+};
+
+// compare is null for the catalogue's own order
+ProductListing.SORTS = {
+    featured: { title: 'Featured', compare: null },
+    'price-asc': { title: 'Price: Low to High', compare: (a, b) => a.price - b.price },
+    'price-desc': { title: 'Price: High to Low', compare: (a, b) => b.price - a.price },
+    rating: { title: 'Top Rated', compare: (a, b) => (b.rating || 0) - (a.rating || 0) },
+    newest: { title: 'Newest', compare: (a, b) => (b.addedOn || '').localeCompare(a.addedOn || '') }
+};
@@ -0,0 +1,11 @@
+// Registers service-worker.js, which caches the shop and the try-on for
+// offline use. Registration waits for the page to load so the first visit
+// isn't slowed down by the precache downloads. The worker script itself is
+// never taken from the HTTP cache, so a deploy reaches it straight away.
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('service-worker.js', { updateViaCache: 'none' }).catch((error) => {
+            console.warn('Offline support unavailable:', error);
+        });
+    });
+}
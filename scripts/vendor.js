@@ -0,0 +1,51 @@
+// Copies the browser builds the pages load from vendor/ out of node_modules,
+// so the site can be served (and cached by service-worker.js) without a CDN.
+// Runs after `npm install`; run `npm run vendor` again after changing a
+// pinned version in package.json.
+//
+// vendor/files.json lists everything copied, for the service worker.
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MODULES = path.join(ROOT, 'node_modules');
+const VENDOR = path.join(ROOT, 'vendor');
+
+// [package directory, destination in vendor/, files (all when omitted)]
+const COPIES = [
+    ['three/build', 'three', ['three.min.js']],
+    ['three/examples/js/loaders', 'three', ['GLTFLoader.js', 'DRACOLoader.js']],
+    ['three/examples/js/environments', 'three', ['RoomEnvironment.js']],
+    ['three/examples/js/libs/draco', 'draco', ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']],
+    ['@mediapipe/face_mesh', 'mediapipe/face_mesh', null],
+    ['tesseract.js/dist', 'tesseract', ['tesseract.min.js', 'worker.min.js']],
+    // PrescriptionScanner runs the LSTM engine only (OEM 1), with or
+    // without SIMD depending on the browser
+    ['tesseract.js-core', 'tesseract/core', ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js']],
+    ['@tesseract.js-data/eng/4.0.0_best_int', 'tesseract/lang', ['eng.traineddata.gz']]
+];
+
+// Package metadata that the browser never asks for
+const SKIP = ['package.json', 'README.md', 'index.d.ts'];
+
+function copyAll() {
+    fs.rmSync(VENDOR, { recursive: true, force: true });
+    const copied = [];
+    COPIES.forEach(([from, to, files]) => {
+        const source = path.join(MODULES, from);
+        if (!fs.existsSync(source)) {
+            throw new Error(`${from} is missing, run npm install first`);
+        }
+        const target = path.join(VENDOR, to);
+        fs.mkdirSync(target, { recursive: true });
+        (files || fs.readdirSync(source).filter(file => !SKIP.includes(file))).forEach((file) => {
+            fs.copyFileSync(path.join(source, file), path.join(target, file));
+            copied.push(`vendor/${to}/${file}`);
+        });
+    });
+    fs.writeFileSync(path.join(VENDOR, 'files.json'), JSON.stringify(copied, null, 2));
+    return copied;
+}
+
+const copied = copyAll();
+console.log(`Copied ${copied.length} files into vendor/`);
@@ -0,0 +1,248 @@
+// Keeps the shop and the try-on working without a connection, e.g. on an
+// in-store kiosk with flaky Wi-Fi. Pages, scripts, the vendored three.js and
+// MediaPipe files, the catalogue and every frame model and image it lists are
+// cached on install, so everything works offline after the first visit.
+//
+// Pages, the catalogue, scripts, styles and the vendor/ libraries are
+// fetched fresh when the network answers in time, so prices, new frames and
+// a deploy's new code all show up on the next load; images and frame models
+// are served from the cache first. The CDN builds vendor-fallback.js loads
+// on a site without vendor/ are cached the first time they are used.
+const CACHE_VERSION = 'v1';
+const PRECACHE = `addsub-precache-${CACHE_VERSION}`;
+const RUNTIME = `addsub-runtime-${CACHE_VERSION}`;
+
+const CATALOGUE_URL = 'catalogue.json';
+const NETWORK_TIMEOUT_MS = 3000;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'product.html',
+    'cart.html',
+    'lenses.html',
+    'inde2x.html',
+    'styles.css',
+    'lens-wizard.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'register-service-worker.js',
+    'vendor-fallback.js',
+    'frame-catalogue.js',
+    'product-listing.js',
+    'cart.js',
+    'lens-wizard.js',
+    'prescription-scanner.js',
+    'face-targating.js',
+    'pd-measurement.js',
+    'glasses-models.js',
+    'tryon-engine.js',
+    'tryon-recorder.js',
+    'photo-try-on.js',
+    'frame-preview.js',
+    'looks-gallery.js',
+    'app.js',
+    CATALOGUE_URL,
+
+    // Built-in frames that are not in the catalogue
+    'scene.gltf',
+    'a2ec560f-b602-41d6-baa5-0241e9f78513.png'
+];
+
+// three.js, MediaPipe and the Draco decoder as copied by scripts/vendor.js.
+// A site deployed without them still installs; the pages fall back to the CDN.
+const VENDOR_FILES_URL = 'vendor/files.json';
+
+// Libraries vendor-fallback.js loads when vendor/ is missing
+const CDN_ORIGIN = 'https://cdn.jsdelivr.net';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE);
+        await cache.addAll(PRECACHE_URLS);
+        // OCR is ~10 MB and only needed by prescription scans, so it is
+        // cached the first time someone scans one instead
+        const vendorUrls = await getVendorUrls();
+        await addAllOptional(cache, vendorUrls.filter(url => !url.startsWith('vendor/tesseract/')));
+        await cacheGltfResources(cache, 'scene.gltf');
+        const catalogue = await cache.match(CATALOGUE_URL);
+        await cacheCatalogueAssets(cache, await catalogue.json());
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [PRECACHE, RUNTIME];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('addsub-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        // Fonts, icons and stock photos from other sites, kept once seen
+        if (url.origin === CDN_ORIGIN || ['style', 'font', 'image'].includes(request.destination)) {
+            event.respondWith(cacheFirst(request));
+        }
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, { ignoreSearch: true }));
+    } else if (url.pathname.endsWith(`/${CATALOGUE_URL}`)) {
+        event.respondWith(networkFirst(request).then((response) => {
+            // Frames added since install are cached as soon as they are listed
+            if (response.ok) {
+                event.waitUntil(response.clone().json()
+                    .then(catalogue => caches.open(RUNTIME).then(cache => cacheCatalogueAssets(cache, catalogue)))
+                    .catch(error => console.warn('Could not cache new frames:', error)));
+            }
+            return response;
+        }));
+    } else if (isCode(request, url)) {
+        // Past the HTTP cache too, which may hold the previous deploy
+        event.respondWith(networkFirst(request, {}, { cache: 'no-cache' }));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Scripts and styles must match the pages they were deployed with; vendor/
+// holds scripts plus the wasm and model files they load
+function isCode(request, url) {
+    return ['script', 'style', 'manifest', 'worker'].includes(request.destination) ||
+        url.pathname.includes('/vendor/');
+}
+
+// Product pages differ only by query (product.html?id=...), so pages are
+// matched without it when offline. fetchOptions can't be used with page
+// navigations.
+async function networkFirst(request, matchOptions = {}, fetchOptions = undefined) {
+    const network = fetch(request, fetchOptions).then(async (response) => {
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+    // A late failure after falling back to the cache is nobody's concern
+    network.catch(() => {});
+    try {
+        return await withTimeout(network, NETWORK_TIMEOUT_MS);
+    } catch (error) {
+        // The copy from the last visit is newer than the one from install
+        const runtime = await caches.open(RUNTIME);
+        const cached = await runtime.match(request, matchOptions) ||
+            await caches.match(request, matchOptions);
+        if (cached) return cached;
+        // Nothing cached yet: a slow answer beats none
+        return network;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque responses from other sites can't be checked; keep them anyway
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('The network took too long')), ms);
+        promise.then(
+            (value) => {
+                clearTimeout(timer);
+                resolve(value);
+            },
+            (error) => {
+                clearTimeout(timer);
+                reject(error);
+            }
+        );
+    });
+}
+
+async function getVendorUrls() {
+    try {
+        const response = await fetch(VENDOR_FILES_URL, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return await response.json();
+    } catch (error) {
+        console.warn(`No ${VENDOR_FILES_URL}, libraries will come from the CDN:`, error);
+        return [];
+    }
+}
+
+// Missing files are logged rather than failing the whole install
+function addAllOptional(cache, urls) {
+    return Promise.all(urls.map(url => cache.add(url).catch((error) => {
+        console.warn(`Not cached for offline use: ${url}`, error);
+    })));
+}
+
+// Frame images and models listed in the catalogue, plus the buffers and
+// textures of .gltf models
+async function cacheCatalogueAssets(cache, catalogue) {
+    const urls = getCatalogueUrls(catalogue);
+    const missing = [];
+    for (const url of urls) {
+        if (!(await caches.match(url))) missing.push(url);
+    }
+    await addAllOptional(cache, missing);
+
+    const gltfUrls = urls.filter(url => /\.gltf$/i.test(new URL(url, self.location).pathname));
+    for (const url of gltfUrls) {
+        await cacheGltfResources(cache, url);
+    }
+}
+
+async function cacheGltfResources(cache, url) {
+    const response = await caches.match(url);
+    if (!response) return;
+    try {
+        await addAllOptional(cache, getGltfResourceUrls(url, await response.json()));
+    } catch (error) {
+        console.warn(`Could not read ${url} for offline use:`, error);
+    }
+}
+
+function getCatalogueUrls(catalogue) {
+    const urls = new Set();
+    (catalogue.frames || []).forEach((frame) => {
+        (frame.images || []).forEach(image => urls.add(image));
+        Object.values(frame.assets || {}).forEach((asset) => {
+            if (typeof asset === 'string') {
+                urls.add(asset);
+            } else if (asset && asset.url) {
+                urls.add(asset.url);
+                // Fitting manifests may live in their own file
+                if (typeof asset.fitting === 'string') urls.add(asset.fitting);
+            }
+        });
+    });
+    // Other sites' files can't be fetched for the cache without CORS
+    return Array.from(urls).filter(url => new URL(url, self.location).origin === self.location.origin);
+}
+
+function getGltfResourceUrls(gltfUrl, gltf) {
+    const base = new URL(gltfUrl, self.location);
+    return (gltf.buffers || []).concat(gltf.images || [])
+        .map(resource => resource.uri)
+        .filter(uri => uri && !uri.startsWith('data:'))
+        .map(uri => new URL(uri, base).href);
+}
@@ -0,0 +1,12 @@
+// The site's scripts are plain browser scripts that declare globals, so
+// tests run each one in its own function scope and pick out what it declares.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScript(file, names) {
+    const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    return vm.runInThisContext(`(function () {${source}\nreturn { ${names.join(', ')} };\n})()`, { filename: file });
+}
+
+module.exports = { loadScript };
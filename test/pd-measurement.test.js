@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+const fixtures = require('./fixtures/pd-landmarks.json');
+
+const { PupillaryDistanceMeter } = loadScript('pd-measurement.js', ['PupillaryDistanceMeter']);
+
+const { imageWidth, imageHeight } = fixtures;
+
+// A FaceTracker result with the fixture's landmarks in a full-size mesh
+function face(frame) {
+    const landmarks = new Array(478).fill({ x: 0, y: 0 });
+    Object.keys(frame.landmarks).forEach((index) => {
+        landmarks[index] = frame.landmarks[index];
+    });
+    if (frame.refined === false) landmarks.length = 468;
+    return { landmarks, headPose: frame.headPose, iris: frame.iris };
+}
+
+function measure(frames, options = { sampleCount: 5 }) {
+    const meter = new PupillaryDistanceMeter(options);
+    frames.forEach(frame => meter.addSample(face(frame), imageWidth, imageHeight));
+    return meter;
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 0.01, `${message}: ${actual} is not ${expected}`);
+}
+
+test('getResult is empty before any sample', () => {
+    assert.deepEqual(new PupillaryDistanceMeter().getResult(), {
+        progress: 0, stable: false, pd: null, rightPd: null, leftPd: null, nearPd: null, spread: null
+    });
+});
+
+test('steady frames give a stable median PD corrected for convergence', () => {
+    const result = measure(fixtures.steady).getResult();
+
+    // 128 px apart at 0.5 mm/px, scaled by (400 + 13.5) / 400
+    assertClose(result.nearPd, 64, 'near PD');
+    assertClose(result.pd, 66.16, 'PD');
+    assert.equal(result.progress, 1);
+    assert.ok(result.spread <= 0.5);
+    assert.equal(result.stable, true);
+});
+
+test('monocular PDs are split at the nose bridge and add up to the PD', () => {
+    const result = measure(fixtures.steady).getResult();
+
+    // The bridge sits 60.16 px from the right pupil and 67.84 px from the left
+    assertClose(result.rightPd, 31.10, 'right PD');
+    assertClose(result.leftPd, 35.06, 'left PD');
+    assertClose(result.rightPd + result.leftPd, result.pd, 'right + left');
+});
+
+test('jittery frames are not stable', () => {
+    const result = measure(fixtures.jittery).getResult();
+
+    assert.equal(result.progress, 1);
+    assert.ok(result.spread > 0.5);
+    assert.equal(result.stable, false);
+    // The median ignores the widest and narrowest readings
+    assertClose(result.nearPd, 62.72, 'near PD');
+});
+
+test('turned heads, unrefined meshes and unknown scale are skipped', () => {
+    const meter = measure([fixtures.turnedHead, fixtures.unrefined, fixtures.noIris]);
+    assert.equal(meter.samples.length, 0);
+    assert.equal(meter.getResult().pd, null);
+});
+
+test('progress counts samples up to sampleCount and keeps the latest', () => {
+    const meter = measure(fixtures.steady.slice(0, 2));
+    assertClose(meter.getResult().progress, 0.4, 'progress');
+
+    fixtures.steady.concat(fixtures.jittery.slice(0, 2)).forEach((frame) => {
+        meter.addSample(face(frame), imageWidth, imageHeight);
+    });
+    assert.equal(meter.samples.length, 5);
+    assert.equal(meter.getResult().stable, false);
+});
+
+test('card calibration scales by the card width instead of the iris', () => {
+    const meter = new PupillaryDistanceMeter({ sampleCount: 5 });
+    // 85.6 mm card matched at 171.2 px, so 0.5 mm/px
+    meter.calibrateWithCard(171.2);
+    fixtures.steady.concat(fixtures.noIris).forEach((frame) => {
+        meter.addSample(face(frame), imageWidth, imageHeight);
+    });
+
+    assert.equal(meter.samples.length, 5);
+    assertClose(meter.getResult().nearPd, 64, 'near PD');
+    assert.throws(() => meter.calibrateWithCard(0), /positive number/);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const { PrescriptionScanner } = loadScript('prescription-scanner.js', ['PrescriptionScanner']);
+
+function parseText(text) {
+    return PrescriptionScanner.parse(PrescriptionScanner.linesFromText(text));
+}
+
+// A word as Tesseract reports it, 40px wide at x
+function word(text, x, confidence = 95) {
+    return { text, confidence, bbox: { x0: x, y0: 0, x1: x + 40, y1: 10 } };
+}
+
+test('linesFromText splits lines and words', () => {
+    assert.deepEqual(PrescriptionScanner.linesFromText('OD  -1.00\r\n\nOS'), [
+        { words: [{ text: 'OD', confidence: 100, bbox: null }, { text: '-1.00', confidence: 100, bbox: null }] },
+        { words: [] },
+        { words: [{ text: 'OS', confidence: 100, bbox: null }] }
+    ]);
+});
+
+test('parse reads a table with a header row', () => {
+    const result = parseText([
+        'Rx',
+        'SPH CYL AXIS ADD',
+        'OD -2.25 -0.75 180 +2.00',
+        'OS -1.75 -1.00 90 +2.00',
+        'PD 63'
+    ].join('\n'));
+
+    assert.equal(result.found, true);
+    assert.deepEqual(result.prescription, {
+        od: { sph: -2.25, cyl: -0.75, axis: 180, add: 2 },
+        os: { sph: -1.75, cyl: -1, axis: 90, add: 2 }
+    });
+    assert.deepEqual(result.pd, { binocular: 63, right: null, left: null });
+    assert.deepEqual(result.uncertain, []);
+});
+
+test('parse reads slash notation, sphere-only eyes and monocular PD', () => {
+    const result = parseText([
+        'RE -1.50/-0.50x175',
+        'LE -1.25 DS',
+        'PD R 31.5 L 32'
+    ].join('\n'));
+
+    assert.deepEqual(result.prescription, {
+        od: { sph: -1.5, cyl: -0.5, axis: 175, add: null },
+        os: { sph: -1.25, cyl: 0, axis: null, add: null }
+    });
+    assert.deepEqual(result.pd, { binocular: 63.5, right: 31.5, left: 32 });
+    assert.deepEqual(result.uncertain, []);
+});
+
+test('parse applies a shared ADD and flags look-alike characters', () => {
+    const result = parseText([
+        'Right +1.25 -O.50 x 10',
+        'Left +1.00 -0.25 x 170',
+        'ADD +1.50',
+        'PD 31/32'
+    ].join('\n'));
+
+    assert.deepEqual(result.prescription, {
+        od: { sph: 1.25, cyl: -0.5, axis: 10, add: 1.5 },
+        os: { sph: 1, cyl: -0.25, axis: 170, add: 1.5 }
+    });
+    assert.deepEqual(result.pd, { binocular: 63, right: 31, left: 32 });
+    assert.deepEqual(result.uncertain, ['od.cyl']);
+});
+
+test('parse restores lost decimal points and reads plano', () => {
+    const result = parseText([
+        'SPHERE CYLINDER AXIS',
+        'R -225 -050 45',
+        'L PL -1.25 135'
+    ].join('\n'));
+
+    assert.deepEqual(result.prescription, {
+        od: { sph: -2.25, cyl: -0.5, axis: 45, add: null },
+        os: { sph: 0, cyl: -1.25, axis: 135, add: null }
+    });
+    assert.equal(result.pd, null);
+    assert.deepEqual(result.uncertain, ['od.sph', 'od.cyl']);
+});
+
+test('parse places values under header columns by position', () => {
+    const result = PrescriptionScanner.parse([
+        { words: [word('SPH', 100), word('CYL', 200), word('AXIS', 300), word('ADD', 400)] },
+        // No cylinder: +2.25 sits under ADD, and was read with low confidence
+        { words: [word('OD', 0), word('-3.00', 100), word('+2.25', 400, 60)] },
+        { words: [word('OS', 0), word('-2.75', 100), word('-0.50', 200), word('95', 300)] }
+    ]);
+
+    assert.deepEqual(result.prescription, {
+        od: { sph: -3, cyl: null, axis: null, add: 2.25 },
+        os: { sph: -2.75, cyl: -0.5, axis: 95, add: null }
+    });
+    assert.deepEqual(result.uncertain, ['od.add']);
+});
+
+test('parse reports nothing found for unrelated text', () => {
+    const result = parseText('Dr. A. Optometrist\nExamined 12/03/2024');
+    assert.equal(result.found, false);
+    assert.equal(result.pd, null);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const { ProductListing } = loadScript('product-listing.js', ['ProductListing']);
+
+function frame(id, overrides = {}) {
+    return Object.assign({
+        id,
+        category: 'eyeglasses',
+        tags: [],
+        shape: 'round',
+        material: 'acetate',
+        colours: [{ name: 'Black', family: 'black' }],
+        price: 2500,
+        gender: 'unisex',
+        sizes: [{ label: 'Medium' }]
+    }, overrides);
+}
+
+const frames = [
+    frame('a'),
+    frame('b', { shape: 'square', price: 4500, tags: ['blue-cut'] }),
+    frame('c', { category: 'sunglasses', shape: 'aviator', price: 1500 })
+];
+
+test('loadQueryString keeps known values and sort', () => {
+    const listing = new ProductListing(frames);
+    listing.loadQueryString('?shape=square,round&price=4000-&sort=price-asc');
+
+    assert.deepEqual(listing.state.filters.shape, ['square', 'round']);
+    assert.deepEqual(listing.state.filters.price, ['4000-']);
+    assert.equal(listing.state.sort, 'price-asc');
+    assert.deepEqual(listing.getResults().items.map(item => item.id), ['b']);
+});
+
+test('loadQueryString drops values no frame or facet has', () => {
+    const listing = new ProductListing(frames);
+    listing.loadQueryString('?price=foo&shape=hexagon,round&gender=aliens&sort=cheapest');
+
+    assert.deepEqual(listing.state.filters.price, []);
+    assert.deepEqual(listing.state.filters.shape, ['round']);
+    assert.deepEqual(listing.state.filters.gender, []);
+    assert.equal(listing.state.sort, 'featured');
+    assert.deepEqual(listing.getResults().items.map(item => item.id), ['a']);
+});
+
+test('a link with only unknown values shows every frame', () => {
+    const listing = new ProductListing(frames);
+    listing.loadQueryString('?price=foo');
+
+    assert.equal(listing.hasActiveFilters(), false);
+    assert.equal(listing.getResults().total, frames.length);
+});
@@ -0,0 +1,710 @@
+// Embeddable try-on: a media source (camera, photo or video file), face
+// detection and frames drawn over the media. Pages use mount, setFrame,
+// setSource, capture and destroy; the placement maths for every try-on
+// lives here and in GlassesRenderer.
+//
+// '3d' draws catalogue frames with GlassesRenderer (needs three.js and
+// glasses-models.js). '2d' draws each frame's flat PNG and allows manual
+// placement, for pages that only need a still photo.
+//
+// Landmarks and the overlay always work in the media's own pixels. How the
+// media is shown (mirror, and cover or contain fitting into its element) is
+// applied to the media and the overlay alike, and to captures, so all three
+// match.
+class TryOnEngine {
+    constructor(options = {}) {
+        this.mode = options.renderer || (TryOnEngine.supports3d() ? '3d' : '2d');
+        this.maxFaces = options.maxFaces || 1;
+        this.catalogue = options.catalogue || null;
+        this.frame = options.frame || (this.mode === '3d' ? 'classic' : null);
+        this.onFaces = options.onFaces || null;
+        this.onRender = options.onRender || null;
+        // Camera unplugged or its permission revoked: (reason) 'ended' or 'denied'
+        this.onCameraLost = options.onCameraLost || null;
+        // Cameras plugged in or removed: (devices) from CameraManager.listDevices
+        this.onCamerasChanged = options.onCamerasChanged || null;
+        // Face tracking broke down on the camera or video: (error)
+        this.onError = options.onError || null;
+
+        // true, false or 'auto' (mirror the camera like a selfie, show photos
+        // and video files as they are)
+        this.mirror = options.mirror !== undefined ? options.mirror : 'auto';
+        // 'cover' or 'contain'; by default each media element's CSS object-fit
+        this.fit = options.fit || null;
+        // 0-1, for fading the frames out while tracking is unsure
+        this.overlayOpacity = 1;
+
+        // Pose smoothing for the 3D renderer, see setFilterSettings
+        this.smoothingEnabled = options.smoothing !== false;
+        this.filterSettings = { type: 'one-euro', params: { minCutoff: 1.5, beta: 5 } };
+        this.poseFilters = new Map(); // face id -> PoseFilter
+
+        this.container = null;
+        this.video = null;
+        this.image = null;
+        this.canvas = null;
+        this.createdElements = [];
+        this.tracker = null;
+        this.camera = null;
+        this.renderer = null;
+
+        this.source = null;
+        this.objectUrl = null;
+        this.faces = [];
+
+        // 2D only: frames per face, loaded frame images and manual placements
+        this.faceFrames = new Map(); // face id -> frame
+        this.frameImages = new Map(); // image URL -> HTMLImageElement
+        this.placements = new Map(); // face id -> placement
+        this.adjustments = { scale: 1, width: 1, heightOffset: 0 };
+
+        this.resizeHandler = () => this.resize();
+    }
+
+    static supports3d() {
+        return typeof THREE !== 'undefined' && typeof GlassesRenderer !== 'undefined';
+    }
+
+    // Sets the engine up inside container. Existing video, image and canvas
+    // elements can be passed in; anything missing is created.
+    mount(container, elements = {}) {
+        if (this.container) {
+            throw new Error('The try-on engine is already mounted');
+        }
+        this.container = container;
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+
+        this.video = elements.video || this.createElement('video');
+        this.video.autoplay = true;
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.image = elements.image || this.createElement('img');
+        this.image.alt = this.image.alt || 'Try-on photo';
+        this.canvas = elements.canvas || this.createElement('canvas', true);
+        this.canvas.style.position = 'absolute';
+        this.canvas.style.pointerEvents = 'none';
+
+        this.camera = new CameraManager({
+            onEnded: (reason) => this.onCameraEnded(reason),
+            onDevicesChanged: (devices) => {
+                if (this.onCamerasChanged) this.onCamerasChanged(devices);
+            }
+        });
+        this.tracker = new FaceTracker({
+            maxNumFaces: this.maxFaces,
+            camera: this.camera,
+            onError: (error) => this.onTrackingError(error)
+        });
+
+        this.resize();
+        if (this.mode === '3d') {
+            this.renderer = new GlassesRenderer();
+            this.renderer.init(this.canvas);
+            this.renderer.setEnvironmentSource(this.video);
+            // Depth estimates on both sides must assume the same camera
+            this.renderer.setFieldOfView(this.tracker.horizontalFov);
+            if (this.catalogue) this.renderer.setCatalogue(this.catalogue);
+            this.renderer.changeFrame(this.frame);
+        }
+
+        window.addEventListener('resize', this.resizeHandler);
+        return this;
+    }
+
+    // Media elements start hidden until a source needs them
+    createElement(tagName, visible = false) {
+        const element = document.createElement(tagName);
+        element.style.display = visible ? 'block' : 'none';
+        element.style.maxWidth = '100%';
+        this.container.appendChild(element);
+        this.createdElements.push(element);
+        return element;
+    }
+
+    setCatalogue(catalogue) {
+        this.catalogue = catalogue;
+        if (this.renderer) {
+            this.renderer.setCatalogue(catalogue);
+            // Frames requested before the catalogue arrived used the fallback
+            this.renderer.changeFrame(this.frame);
+        }
+        this.draw();
+    }
+
+    // { type: 'camera' }, { type: 'image', image } or { type: 'video', video }.
+    // Cameras can be picked with deviceId or facing ('front' or 'back').
+    // Camera failures reject with the browser's error; see
+    // CameraManager.getErrorReason.
+    // Images and videos may be URLs, Blobs or Files; images may also be an
+    // <img> or <canvas>. Resolves once the source is showing; for images,
+    // to the faces found (all of them, even beyond maxFaces).
+    async setSource(source) {
+        this.stopSource();
+        this.source = source;
+
+        if (source.type === 'camera') {
+            this.showMedia(this.video);
+            this.video.addEventListener('loadedmetadata', this.resizeHandler, { once: true });
+            this.tracker.cameraSize = source.width && source.height
+                ? { width: source.width, height: source.height }
+                : TryOnEngine.getCameraSize(this.container);
+            try {
+                await this.tracker.init(this.video, null, faces => this.onFacesDetected(faces), {
+                    deviceId: source.deviceId,
+                    facing: source.facing
+                });
+            } catch (error) {
+                this.source = null;
+                throw error;
+            }
+            this.resize();
+            return [];
+        }
+
+        if (source.type === 'video') {
+            this.showMedia(this.video);
+            this.video.srcObject = null;
+            this.video.loop = source.loop !== false;
+            this.video.src = this.toUrl(source.video);
+            await new Promise((resolve, reject) => {
+                this.video.onloadeddata = resolve;
+                this.video.onerror = () => reject(new Error('Could not load the video'));
+            });
+            this.resize();
+            await this.video.play();
+            this.tracker.track(this.video, faces => this.onFacesDetected(faces));
+            return [];
+        }
+
+        if (source.type === 'image') {
+            this.showMedia(this.image);
+            await this.loadImage(source.image);
+            this.resize();
+
+            const faces = await this.tracker.detectImage(this.image);
+            this.onFacesDetected(TryOnEngine.largestFirst(faces));
+            return faces;
+        }
+
+        throw new Error(`Unknown try-on source: ${source.type}`);
+    }
+
+    loadImage(image) {
+        if (image === this.image && image.complete && image.naturalWidth) {
+            return Promise.resolve();
+        }
+        const url = image instanceof HTMLCanvasElement
+            ? image.toDataURL('image/png')
+            : image instanceof HTMLImageElement ? image.src : this.toUrl(image);
+
+        return new Promise((resolve, reject) => {
+            this.image.onload = () => resolve();
+            this.image.onerror = () => reject(new Error('Could not load the photo'));
+            this.image.src = url;
+        });
+    }
+
+    // Blob URLs are revoked when the source changes
+    toUrl(media) {
+        if (typeof media === 'string') return media;
+        this.objectUrl = URL.createObjectURL(media);
+        return this.objectUrl;
+    }
+
+    showMedia(element) {
+        [this.video, this.image].forEach(media => {
+            media.style.display = media === element ? 'block' : 'none';
+        });
+    }
+
+    stopSource() {
+        if (this.tracker) this.tracker.stop();
+        if (this.video) {
+            this.video.pause();
+            const stream = this.video.srcObject;
+            if (stream && stream.getTracks) {
+                stream.getTracks().forEach(track => track.stop());
+            }
+            this.video.srcObject = null;
+            this.video.removeAttribute('src');
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        this.source = null;
+        this.placements.clear();
+        this.onFacesDetected([]);
+    }
+
+    // Ask for a portrait stream in a portrait view, so a phone held upright
+    // isn't cropped down to a narrow strip of a landscape picture
+    static getCameraSize(container) {
+        return container.clientHeight > container.clientWidth
+            ? { width: 1080, height: 1920 }
+            : { width: 1920, height: 1080 };
+    }
+
+    // Cameras to offer in a switcher, as { deviceId, label, facing }
+    getCameras() {
+        return this.camera ? this.camera.listDevices() : Promise.resolve([]);
+    }
+
+    // Settings of the running camera ({ width, height, frameRate, deviceId,
+    // facing }), or null
+    getCameraSettings() {
+        return this.source && this.source.type === 'camera' ? this.camera.getSettings() : null;
+    }
+
+    onCameraEnded(reason) {
+        this.stopSource();
+        if (this.onCameraLost) this.onCameraLost(reason);
+    }
+
+    onTrackingError(error) {
+        this.stopSource();
+        if (this.onError) this.onError(error);
+    }
+
+    // A back camera shows the world, so only selfie cameras are mirrored
+    isMirrored() {
+        if (this.mirror === 'auto') {
+            return Boolean(this.source) && this.source.type === 'camera' &&
+                this.camera.facing !== 'back';
+        }
+        return Boolean(this.mirror);
+    }
+
+    setMirror(mirror) {
+        this.mirror = mirror;
+        this.resize();
+    }
+
+    setFit(fit) {
+        if (fit !== 'cover' && fit !== 'contain') {
+            throw new Error(`Unknown fit: ${fit}`);
+        }
+        this.fit = fit;
+        this.resize();
+    }
+
+    // Fades the frames on screen, and in captures and recordings alike
+    setOverlayOpacity(opacity) {
+        this.overlayOpacity = Math.min(1, Math.max(0, opacity));
+        if (this.canvas) this.canvas.style.opacity = this.overlayOpacity;
+    }
+
+    getFit(media) {
+        if (this.fit) return this.fit;
+        return getComputedStyle(media).objectFit === 'cover' ? 'cover' : 'contain';
+    }
+
+    // Where the media's picture is shown, in container pixels. With cover it
+    // overflows the element on two sides and the container clips it.
+    getContentRect(media = this.getMedia()) {
+        const box = {
+            left: media.offsetLeft,
+            top: media.offsetTop,
+            width: media.offsetWidth,
+            height: media.offsetHeight
+        };
+        const size = this.getMediaSize();
+        if (!size.width || !size.height || !box.width || !box.height) return box;
+
+        const fitScale = this.getFit(media) === 'cover' ? Math.max : Math.min;
+        const scale = fitScale(box.width / size.width, box.height / size.height);
+        const width = size.width * scale;
+        const height = size.height * scale;
+        return {
+            left: box.left + (box.width - width) / 2,
+            top: box.top + (box.height - height) / 2,
+            width: width,
+            height: height
+        };
+    }
+
+    // A normalised image point (a landmark, a face box corner) in container
+    // pixels as it is shown
+    toViewPoint(point) {
+        const rect = this.getContentRect();
+        const x = this.isMirrored() ? 1 - point.x : point.x;
+        return {
+            x: rect.left + x * rect.width,
+            y: rect.top + point.y * rect.height
+        };
+    }
+
+    // Container pixels back to a normalised image point
+    toImagePoint(x, y) {
+        const rect = this.getContentRect();
+        const imageX = (x - rect.left) / rect.width;
+        return {
+            x: this.isMirrored() ? 1 - imageX : imageX,
+            y: (y - rect.top) / rect.height
+        };
+    }
+
+    getMedia() {
+        return this.source && this.source.type === 'image' ? this.image : this.video;
+    }
+
+    // Natural size of the current media, in pixels
+    getMediaSize() {
+        const media = this.getMedia();
+        return media === this.image
+            ? { width: media.naturalWidth, height: media.naturalHeight }
+            : { width: media.videoWidth, height: media.videoHeight };
+    }
+
+    onFacesDetected(faces) {
+        this.faces = faces.slice(0, this.maxFaces);
+
+        if (this.renderer) {
+            this.updateRenderer(this.faces);
+        } else {
+            this.draw();
+        }
+        if (this.onFaces) this.onFaces(this.faces);
+    }
+
+    updateRenderer(faces) {
+        const visibleIds = faces.map(face => face.id);
+        const trackedIds = this.source && this.source.type !== 'image'
+            ? this.tracker.getTrackedIds()
+            : visibleIds;
+
+        // Forget faces that have left the view for good, and restart the
+        // filters of faces missing from this frame so a reacquired face
+        // doesn't glide in from its old position
+        this.poseFilters.forEach((filter, id) => {
+            if (!trackedIds.includes(id)) {
+                this.poseFilters.delete(id);
+            } else if (!visibleIds.includes(id)) {
+                filter.reset();
+            }
+        });
+        this.renderer.syncWearers(visibleIds, trackedIds);
+
+        const timestamp = performance.now();
+        faces.forEach(face => {
+            // Smooth the derived pose rather than the raw landmarks
+            const result = this.smoothingEnabled && this.source.type !== 'image'
+                ? this.getPoseFilter(face.id).filter(face, timestamp)
+                : face;
+
+            this.renderer.updateGlasses(
+                result.landmarks,
+                this.canvas.width,
+                this.canvas.height,
+                result.headPose,
+                result.iris,
+                result.id
+            );
+        });
+    }
+
+    getPoseFilter(faceId) {
+        let filter = this.poseFilters.get(faceId);
+        if (!filter) {
+            filter = new PoseFilter(this.filterSettings.type, this.filterSettings.params);
+            this.poseFilters.set(faceId, filter);
+        }
+        return filter;
+    }
+
+    // e.g. setFilterSettings('kalman', { processNoise: 0.1 }) or
+    // setFilterSettings('one-euro', { minCutoff: 1, beta: 8 })
+    setFilterSettings(type, params = {}) {
+        if (!PoseFilter.types[type]) {
+            throw new Error(`Unknown pose filter: ${type}`);
+        }
+        if (type !== this.filterSettings.type) {
+            this.filterSettings = { type: type, params: Object.assign({}, params) };
+            this.poseFilters.clear();
+        } else {
+            Object.assign(this.filterSettings.params, params);
+            this.poseFilters.forEach(filter => filter.setParameters(params));
+        }
+    }
+
+    // A catalogue id, a built-in style name (3D) or an image URL (2D).
+    // Without a face id the frame applies to everyone.
+    setFrame(frame, faceId = null) {
+        if (faceId === null) {
+            this.frame = frame;
+            this.faceFrames.clear();
+        } else {
+            this.faceFrames.set(faceId, frame);
+        }
+
+        if (this.renderer) {
+            this.renderer.changeFrame(frame, faceId);
+        } else {
+            this.draw();
+        }
+    }
+
+    getFrame(faceId = null) {
+        if (this.renderer && faceId !== null) {
+            return this.renderer.getFrame(faceId);
+        }
+        return this.faceFrames.has(faceId) ? this.faceFrames.get(faceId) : this.frame;
+    }
+
+    // scale and width multiply the fitted frame size; heightOffset (slider
+    // steps) is only used by the 3D renderer
+    setAdjustments(adjustments) {
+        Object.assign(this.adjustments, adjustments);
+        if (this.renderer) {
+            this.renderer.updateScale(this.adjustments.scale);
+            this.renderer.updateWidth(this.adjustments.width);
+            this.renderer.updateHeightOffset(this.adjustments.heightOffset);
+        } else {
+            this.draw();
+        }
+    }
+
+    // A LENS_TINTS key, or null for each frame's own lenses. Flat frames
+    // have their lenses painted in, so this only changes the 3D renderer.
+    setLensTint(tint) {
+        if (this.renderer) this.renderer.setLensTint(tint);
+    }
+
+    // A catalogue colour name for the frame, swapped in without reloading it
+    setVariant(variant, faceId = null) {
+        if (this.renderer) this.renderer.changeVariant(variant, faceId);
+    }
+
+    // The colour a face is wearing, or the one set for everyone
+    getVariant(faceId = null) {
+        if (!this.renderer) return null;
+        const wearer = faceId !== null && this.renderer.wearers.get(faceId);
+        return wearer ? wearer.variant : this.renderer.currentVariant;
+    }
+
+    // Frame centre and width as fractions of the image, angle in radians.
+    // The frame is centred on the nose bridge and sized from the outer eye
+    // corners.
+    static getFramePlacement(landmarks, imageWidth, imageHeight) {
+        const leftEye = landmarks && landmarks[33];
+        const rightEye = landmarks && landmarks[263];
+        if (!leftEye || !rightEye) return null;
+
+        const bridge = landmarks[168] || {
+            x: (leftEye.x + rightEye.x) / 2,
+            y: (leftEye.y + rightEye.y) / 2
+        };
+        const dx = (rightEye.x - leftEye.x) * imageWidth;
+        const dy = (rightEye.y - leftEye.y) * imageHeight;
+
+        return {
+            x: bridge.x,
+            y: bridge.y,
+            width: Math.hypot(dx, dy) * TryOnEngine.EYE_SPAN_TO_FRAME / imageWidth,
+            angle: Math.atan2(dy, dx)
+        };
+    }
+
+    static defaultPlacement() {
+        return { x: 0.5, y: 0.4, width: 0.3, angle: 0 };
+    }
+
+    // Faces in a photo, biggest first, so maxFaces keeps the main subject
+    static largestFirst(faces) {
+        const width = face => (face.faceRect ? face.faceRect.width : 0);
+        return faces.slice().sort((a, b) => width(b) - width(a));
+    }
+
+    // Manual placement (2D) wins over the fitted one until reset
+    getPlacement(faceId) {
+        if (this.placements.has(faceId)) {
+            return Object.assign({}, this.placements.get(faceId));
+        }
+        const face = this.faces.find(item => item.id === faceId);
+        if (!face) return null;
+
+        const size = this.getMediaSize();
+        return TryOnEngine.getFramePlacement(face.landmarks, size.width, size.height);
+    }
+
+    setPlacement(faceId, placement) {
+        this.placements.set(faceId, Object.assign({}, placement));
+        this.draw();
+    }
+
+    resetPlacement(faceId) {
+        this.placements.delete(faceId);
+        this.draw();
+    }
+
+    getFrameImage(frame) {
+        if (!frame) return null;
+        const asset = this.catalogue && this.catalogue.getAsset(frame, 'png');
+        const url = asset ? asset.source : frame;
+
+        let image = this.frameImages.get(url);
+        if (!image) {
+            image = new Image();
+            image.onload = () => this.draw();
+            image.src = url;
+            this.frameImages.set(url, image);
+        }
+        return image.complete && image.naturalWidth ? image : null;
+    }
+
+    // The drawn frame's box in container pixels, for placing handles
+    getFrameBox(faceId) {
+        const placement = this.getPlacement(faceId);
+        const image = this.getFrameImage(this.getFrame(faceId));
+        const media = this.getMedia();
+        if (!placement || !image || !media) return null;
+
+        const rect = this.getContentRect(media);
+        const centre = this.toViewPoint(placement);
+        const width = placement.width * this.adjustments.scale * this.adjustments.width * rect.width;
+        return {
+            x: centre.x,
+            y: centre.y,
+            width: width,
+            height: width * image.naturalHeight / image.naturalWidth,
+            angle: this.isMirrored() ? -placement.angle : placement.angle
+        };
+    }
+
+    draw() {
+        // A 2D context would stop the canvas from ever taking WebGL
+        if (this.mode !== '2d' || !this.canvas) return;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawFrames(ctx, this.canvas.width, this.canvas.height);
+        if (this.onRender) this.onRender();
+    }
+
+    // Flat frames for every fitted face and every manual placement
+    drawFrames(ctx, width, height) {
+        const ids = new Set(this.faces.map(face => face.id).concat(Array.from(this.placements.keys())));
+        ids.forEach(faceId => {
+            const placement = this.getPlacement(faceId);
+            const image = this.getFrameImage(this.getFrame(faceId));
+            if (!placement || !image) return;
+
+            const frameWidth = placement.width * this.adjustments.scale * this.adjustments.width * width;
+            const frameHeight = frameWidth * image.naturalHeight / image.naturalWidth;
+            ctx.save();
+            ctx.translate(placement.x * width, placement.y * height);
+            ctx.rotate(placement.angle);
+            ctx.drawImage(image, -frameWidth / 2, -frameHeight / 2, frameWidth, frameHeight);
+            ctx.restore();
+        });
+    }
+
+    // Keeps the overlay canvas exactly over the media's picture as it is
+    // displayed, mirrored along with it
+    resize() {
+        if (!this.canvas) return;
+        const media = this.source ? this.getMedia() : null;
+        if (media) {
+            media.style.objectFit = this.getFit(media);
+        }
+        const box = media && media.offsetWidth
+            ? this.getContentRect(media)
+            : { left: 0, top: 0, width: this.container.clientWidth, height: this.container.clientHeight };
+        const width = Math.max(1, Math.floor(box.width));
+        const height = Math.max(1, Math.floor(box.height));
+
+        this.canvas.style.left = `${box.left}px`;
+        this.canvas.style.top = `${box.top}px`;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        // Both flip about the same centre, as the picture is centred in its element
+        const transform = this.isMirrored() ? 'scaleX(-1)' : '';
+        this.canvas.style.transform = transform;
+        [this.video, this.image].forEach(element => {
+            element.style.transform = transform;
+        });
+        if (media && this.getFit(media) === 'cover') {
+            this.container.style.overflow = 'hidden';
+        }
+
+        if (this.mode === '3d') {
+            if (this.renderer) {
+                this.renderer.resize(width, height);
+            } else {
+                this.canvas.width = width;
+                this.canvas.height = height;
+            }
+        } else {
+            // Sharp on high-density screens
+            const ratio = window.devicePixelRatio || 1;
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+            this.draw();
+        }
+    }
+
+    // The whole picture at the media's own resolution with the frames on
+    // top, mirrored if the preview is. The 3D frames are rendered at that
+    // resolution too rather than scaled up from the screen.
+    capture() {
+        const size = this.getMediaSize();
+        if (!this.source || !size.width) {
+            throw new Error('There is nothing to capture yet');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        this.drawComposite(canvas.getContext('2d'), canvas.width, canvas.height, true);
+        return canvas;
+    }
+
+    // The media with the frames on top, scaled to width x height. Recordings
+    // call this once per frame, so the 3D overlay is only re-rendered at
+    // that size when asked.
+    drawComposite(ctx, width, height, renderAtSize = false) {
+        ctx.save();
+        if (this.isMirrored()) {
+            ctx.translate(width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(this.getMedia(), 0, 0, width, height);
+        ctx.globalAlpha = this.overlayOpacity;
+        if (this.renderer) {
+            const drawOverlay = canvas => ctx.drawImage(canvas, 0, 0, width, height);
+            if (renderAtSize) {
+                this.renderer.renderAt(width, height, drawOverlay);
+            } else {
+                this.renderer.render();
+                drawOverlay(this.canvas);
+            }
+        } else {
+            this.drawFrames(ctx, width, height);
+        }
+        ctx.restore();
+    }
+
+    destroy() {
+        this.stopSource();
+        if (this.tracker) this.tracker.dispose();
+        if (this.camera) {
+            this.camera.destroy();
+            this.camera = null;
+        }
+        window.removeEventListener('resize', this.resizeHandler);
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer = null;
+        }
+        this.createdElements.forEach(element => element.remove());
+        this.createdElements = [];
+        this.frameImages.clear();
+        this.container = null;
+    }
+}
+
+// Frame width relative to the distance between the outer eye corners
+TryOnEngine.EYE_SPAN_TO_FRAME = 2.2;
@@ -0,0 +1,369 @@
+// Records the try-on (camera plus glasses) as a short clip. 'webm' uses
+// MediaRecorder on a composited canvas; 'gif' encodes a looping GIF in the
+// browser with GifEncoder, for places that won't play video.
+// Each recording starts with a countdown and stops itself at maxDuration.
+class TryOnRecorder {
+    constructor(options) {
+        this.engine = options.engine;
+        this.format = options.format || 'webm';
+        this.maxDuration = options.maxDuration || TryOnRecorder.MAX_DURATION_MS;
+        this.countdown = options.countdown !== undefined ? options.countdown : TryOnRecorder.COUNTDOWN_SECONDS;
+        this.onCountdown = options.onCountdown || null;
+        this.onProgress = options.onProgress || null;
+
+        this.state = 'idle'; // 'countdown', 'recording' or 'encoding'
+        this.canvas = null;
+        this.ctx = null;
+        this.frameRequest = null;
+        this.countdownTimer = null;
+        this.countdownDone = null;
+        this.startTime = 0;
+        this.finish = null;
+        this.cancelled = false;
+    }
+
+    static supportsVideo() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            TryOnRecorder.getVideoType() !== null;
+    }
+
+    // Safari records MP4 rather than WebM
+    static getVideoType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return TryOnRecorder.VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    get isBusy() {
+        return this.state !== 'idle';
+    }
+
+    // Resolves to { blob, url, type, extension }, or null when cancelled
+    async record() {
+        if (this.isBusy) {
+            throw new Error('A recording is already in progress');
+        }
+        if (this.format === 'webm' && !TryOnRecorder.supportsVideo()) {
+            throw new Error('Video recording is not supported in this browser');
+        }
+        this.cancelled = false;
+
+        try {
+            await this.runCountdown();
+            if (this.cancelled) return null;
+
+            const size = this.getSize();
+            if (!size.width) {
+                throw new Error('There is nothing to record yet');
+            }
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = size.width;
+            this.canvas.height = size.height;
+            this.ctx = this.canvas.getContext('2d');
+
+            const result = this.format === 'gif' ? await this.recordGif() : await this.recordVideo();
+            return this.cancelled ? null : result;
+        } finally {
+            this.stopLoop();
+            this.state = 'idle';
+        }
+    }
+
+    // Ends the recording early; what was recorded so far is kept
+    stop() {
+        if (this.finish) this.finish();
+    }
+
+    cancel() {
+        this.cancelled = true;
+        clearTimeout(this.countdownTimer);
+        if (this.countdownDone) this.countdownDone();
+        this.stop();
+    }
+
+    runCountdown() {
+        this.state = 'countdown';
+        return new Promise(resolve => {
+            this.countdownDone = resolve;
+            const step = (remaining) => {
+                if (this.onCountdown) this.onCountdown(remaining);
+                if (remaining === 0 || this.cancelled) {
+                    this.countdownDone = null;
+                    resolve();
+                    return;
+                }
+                this.countdownTimer = setTimeout(() => step(remaining - 1), 1000);
+            };
+            step(this.countdown);
+        });
+    }
+
+    // The media's own size for video; GIFs are kept small to stay light
+    getSize() {
+        const size = this.engine.getMediaSize();
+        const maxWidth = this.format === 'gif' ? TryOnRecorder.GIF_WIDTH : TryOnRecorder.VIDEO_MAX_WIDTH;
+        const scale = Math.min(1, maxWidth / (size.width || 1));
+        // Even sizes keep video encoders happy
+        return {
+            width: Math.round(size.width * scale / 2) * 2,
+            height: Math.round(size.height * scale / 2) * 2
+        };
+    }
+
+    recordVideo() {
+        const type = TryOnRecorder.getVideoType();
+        const stream = this.canvas.captureStream(TryOnRecorder.VIDEO_FPS);
+        const recorder = new MediaRecorder(stream, {
+            mimeType: type,
+            videoBitsPerSecond: TryOnRecorder.VIDEO_BITRATE
+        });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+
+        return new Promise((resolve, reject) => {
+            recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                const blob = new Blob(chunks, { type: type.split(';')[0] });
+                resolve(TryOnRecorder.toResult(blob, type.startsWith('video/mp4') ? 'mp4' : 'webm'));
+            };
+
+            this.finish = () => {
+                this.finish = null;
+                this.stopLoop();
+                if (recorder.state !== 'inactive') recorder.stop();
+            };
+            recorder.start(TryOnRecorder.CHUNK_MS);
+            this.startLoop(() => this.drawFrame());
+        });
+    }
+
+    recordGif() {
+        const encoder = new GifEncoder(this.canvas.width, this.canvas.height);
+        const frameInterval = 1000 / TryOnRecorder.GIF_FPS;
+        let lastFrame = null;
+
+        return new Promise(resolve => {
+            this.finish = () => {
+                this.finish = null;
+                this.stopLoop();
+                this.state = 'encoding';
+                resolve(TryOnRecorder.toResult(encoder.finish(), 'gif'));
+            };
+
+            this.startLoop((now) => {
+                if (lastFrame !== null && now - lastFrame < frameInterval) return;
+                // Each frame lasts until the next one is taken
+                if (lastFrame !== null) encoder.setLastDelay(now - lastFrame);
+                lastFrame = now;
+                this.drawFrame();
+                encoder.addFrame(this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height).data, frameInterval);
+            });
+        });
+    }
+
+    startLoop(onFrame) {
+        this.state = 'recording';
+        this.startTime = performance.now();
+        const tick = (now) => {
+            this.frameRequest = requestAnimationFrame(tick);
+            const elapsed = now - this.startTime;
+            onFrame(now);
+            if (this.onProgress) this.onProgress(Math.min(1, elapsed / this.maxDuration), elapsed);
+            if (elapsed >= this.maxDuration) this.stop();
+        };
+        this.frameRequest = requestAnimationFrame(tick);
+    }
+
+    stopLoop() {
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+    }
+
+    drawFrame() {
+        this.engine.drawComposite(this.ctx, this.canvas.width, this.canvas.height);
+    }
+
+    static toResult(blob, extension) {
+        return {
+            blob: blob,
+            url: URL.createObjectURL(blob),
+            type: blob.type,
+            extension: extension
+        };
+    }
+}
+
+TryOnRecorder.COUNTDOWN_SECONDS = 3;
+TryOnRecorder.MAX_DURATION_MS = 6000;
+TryOnRecorder.VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+TryOnRecorder.VIDEO_FPS = 30;
+TryOnRecorder.VIDEO_MAX_WIDTH = 1280;
+TryOnRecorder.VIDEO_BITRATE = 4000000;
+TryOnRecorder.CHUNK_MS = 250;
+TryOnRecorder.GIF_FPS = 10;
+TryOnRecorder.GIF_WIDTH = 360;
+
+// Minimal animated GIF89a encoder. Frames are RGBA pixel arrays mapped to a
+// fixed 6x7x6 colour cube with ordered dithering, so no palette has to be
+// built per frame, and LZW-compressed as they are added.
+class GifEncoder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.frames = []; // { delay (centiseconds), data (compressed bytes) }
+    }
+
+    // delay in milliseconds; it can be corrected later with setLastDelay
+    addFrame(rgba, delay) {
+        this.frames.push({
+            delay: GifEncoder.toCentiseconds(delay),
+            data: GifEncoder.compress(this.quantize(rgba))
+        });
+    }
+
+    setLastDelay(delay) {
+        const frame = this.frames[this.frames.length - 1];
+        if (frame) frame.delay = GifEncoder.toCentiseconds(delay);
+    }
+
+    quantize(rgba) {
+        const indices = new Uint8Array(this.width * this.height);
+        const bayer = GifEncoder.BAYER_4X4;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const i = y * this.width + x;
+                // Spread each pixel by up to half a palette step either way
+                const dither = bayer[(y & 3) * 4 + (x & 3)] / 16 - 0.5;
+                const r = GifEncoder.level(rgba[i * 4], 5, dither);
+                const g = GifEncoder.level(rgba[i * 4 + 1], 6, dither);
+                const b = GifEncoder.level(rgba[i * 4 + 2], 5, dither);
+                indices[i] = r * 42 + g * 6 + b;
+            }
+        }
+        return indices;
+    }
+
+    // Returns the whole file as a Blob
+    finish() {
+        const bytes = [];
+        const writeShort = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+        const writeString = (text) => {
+            for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i));
+        };
+
+        writeString('GIF89a');
+        writeShort(this.width);
+        writeShort(this.height);
+        bytes.push(0xf7, 0, 0); // 256-colour global palette
+        bytes.push(...GifEncoder.getPalette());
+
+        // Loop forever
+        bytes.push(0x21, 0xff, 0x0b);
+        writeString('NETSCAPE2.0');
+        bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+
+        const parts = [new Uint8Array(bytes)];
+        this.frames.forEach(frame => {
+            const header = [0x21, 0xf9, 0x04, 0x04, frame.delay & 0xff, (frame.delay >> 8) & 0xff, 0x00, 0x00];
+            header.push(0x2c, 0, 0, 0, 0,
+                this.width & 0xff, (this.width >> 8) & 0xff,
+                this.height & 0xff, (this.height >> 8) & 0xff,
+                0x00, GifEncoder.MIN_CODE_SIZE);
+            parts.push(new Uint8Array(header), frame.data);
+        });
+        parts.push(new Uint8Array([0x3b]));
+        return new Blob(parts, { type: 'image/gif' });
+    }
+
+    static level(value, steps, dither) {
+        const level = Math.round(value * steps / 255 + dither);
+        return level < 0 ? 0 : level > steps ? steps : level;
+    }
+
+    static toCentiseconds(ms) {
+        return Math.max(2, Math.round(ms / 10));
+    }
+
+    // 252 cube colours followed by four greys
+    static getPalette() {
+        if (!GifEncoder.palette) {
+            const palette = [];
+            for (let r = 0; r < 6; r++) {
+                for (let g = 0; g < 7; g++) {
+                    for (let b = 0; b < 6; b++) {
+                        palette.push(Math.round(r * 255 / 5), Math.round(g * 255 / 6), Math.round(b * 255 / 5));
+                    }
+                }
+            }
+            [64, 128, 192, 224].forEach(grey => palette.push(grey, grey, grey));
+            GifEncoder.palette = palette;
+        }
+        return GifEncoder.palette;
+    }
+
+    // Variable-width LZW as GIF wants it, packed into 255-byte sub-blocks
+    static compress(indices) {
+        const minCodeSize = GifEncoder.MIN_CODE_SIZE;
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const out = [];
+        let block = [];
+        let bits = 0;
+        let bitCount = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        const write = (code) => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block.push(bits & 0xff);
+                bits >>= 8;
+                bitCount -= 8;
+                if (block.length === 255) {
+                    out.push(255, ...block);
+                    block = [];
+                }
+            }
+        };
+
+        write(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            write(prefix);
+            if (nextCode === 4096) {
+                // Table full: start over
+                write(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                // The decoder widens its codes one entry behind us
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = indices[i];
+        }
+        write(prefix);
+        write(endCode);
+        if (bitCount > 0) block.push(bits & 0xff);
+        if (block.length > 0) out.push(block.length, ...block);
+        out.push(0);
+        return new Uint8Array(out);
+    }
+}
+
+GifEncoder.MIN_CODE_SIZE = 8;
+GifEncoder.BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+GifEncoder.palette = null;
@@ -0,0 +1,35 @@
+// Loads the pinned CDN builds of any library whose vendor/ copy did not load,
+// e.g. on a checkout where `npm install` (scripts/vendor.js) hasn't run yet.
+// Include it straight after the vendor/ script tags, naming the libraries the
+// page uses:
+//   <script src="vendor-fallback.js" data-libs="face_mesh three"></script>
+(function () {
+    const FALLBACKS = {
+        face_mesh: {
+            loaded: () => typeof FaceMesh !== 'undefined',
+            urls: ['https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1657299874/face_mesh.js']
+        },
+        three: {
+            loaded: () => typeof THREE !== 'undefined' && !!THREE.GLTFLoader &&
+                !!THREE.DRACOLoader && !!THREE.RoomEnvironment,
+            urls: [
+                'https://cdn.jsdelivr.net/npm/three@0.147.0/build/three.min.js',
+                'https://cdn.jsdelivr.net/npm/three@0.147.0/examples/js/loaders/GLTFLoader.js',
+                'https://cdn.jsdelivr.net/npm/three@0.147.0/examples/js/loaders/DRACOLoader.js',
+                'https://cdn.jsdelivr.net/npm/three@0.147.0/examples/js/environments/RoomEnvironment.js'
+            ]
+        }
+    };
+
+    const libs = (document.currentScript.dataset.libs || '').split(/\s+/).filter(Boolean);
+    libs.forEach((name) => {
+        const fallback = FALLBACKS[name];
+        if (!fallback || fallback.loaded()) return;
+        console.warn(`vendor/ copy of ${name} is missing, loading it from the CDN`);
+        // Written rather than appended so the page's own scripts still run
+        // after the library, as they would with the vendor/ copy
+        document.write(fallback.urls
+            .map(url => `<script src="${url}" crossorigin="anonymous"><\/script>`)
+            .join(''));
+    });
+})();